@@ -6,15 +6,24 @@
  * - No app.listen() — exports a serverless handler (serverless-http)
  *
  * Setup:
- * 1. npm install serverless-http mongodb dotenv cors
- * 2. In Vercel set env vars: USER_DB, USER_PASS
+ * 1. npm install serverless-http mongodb dotenv cors jsonwebtoken jwks-rsa multer sharp jszip
+ * 2. In Vercel set env vars: USER_DB, USER_PASS and one auth source
+ *    (FIREBASE_PROJECT_ID, AUTH_JWKS_URI, AUTH_PUBLIC_KEY or AUTH_JWT_SECRET)
+ *    Local only: AUTH_DEV_MODE=true accepts an x-user-email header
+ *    CRON_SECRET protects the /api/cron/* jobs scheduled in vercel.json
  * 3. Deploy — Vercel will use this file as a Function at /api/*
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const serverless = require('serverless-http');
-const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
+const jwt = require('jsonwebtoken');
+const jwksRsa = require('jwks-rsa');
+const { MongoClient, ServerApiVersion, ObjectId, GridFSBucket } = require('mongodb');
+const multer = require('multer');
+const sharp = require('sharp');
+const JSZip = require('jszip');
 require('dotenv').config();
 
 const app = express();
@@ -53,523 +62,5344 @@ async function getDb() {
   return { client, db };
 }
 
-// Temporary auth for dev: expects header x-user-email
-function requireAuth(req, res, next) {
-  const userEmail = req.header('x-user-email') || null;
-  if (!userEmail) {
-    return res.status(401).json({ message: 'Unauthorized. Send x-user-email header for now.' });
+// --- Auth: verified bearer tokens ---
+// Tokens are checked against one of (first match wins):
+//   FIREBASE_PROJECT_ID  -> Firebase ID tokens, keys from Google's JWKS
+//   AUTH_JWKS_URI        -> any RS256 issuer publishing a JWKS
+//   AUTH_PUBLIC_KEY      -> a single PEM public key (RS256/ES256)
+//   AUTH_JWT_SECRET      -> our own HS256-signed tokens
+// AUTH_ISSUER / AUTH_AUDIENCE are enforced when set.
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || null;
+const AUTH_JWKS_URI = FIREBASE_PROJECT_ID
+  ? 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com'
+  : process.env.AUTH_JWKS_URI || null;
+const AUTH_PUBLIC_KEY = process.env.AUTH_PUBLIC_KEY ? process.env.AUTH_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || null;
+const AUTH_ISSUER = FIREBASE_PROJECT_ID ? `https://securetoken.google.com/${FIREBASE_PROJECT_ID}` : process.env.AUTH_ISSUER || undefined;
+const AUTH_AUDIENCE = FIREBASE_PROJECT_ID || process.env.AUTH_AUDIENCE || undefined;
+
+// Dev-only: trust x-user-email. Refuses to turn on in production.
+const AUTH_DEV_MODE = process.env.AUTH_DEV_MODE === 'true';
+if (AUTH_DEV_MODE && process.env.NODE_ENV === 'production') {
+  throw new Error('AUTH_DEV_MODE must not be enabled when NODE_ENV=production.');
+}
+if (!AUTH_JWKS_URI && !AUTH_PUBLIC_KEY && !AUTH_JWT_SECRET && !AUTH_DEV_MODE) {
+  throw new Error('No auth configured. Set FIREBASE_PROJECT_ID, AUTH_JWKS_URI, AUTH_PUBLIC_KEY or AUTH_JWT_SECRET (or AUTH_DEV_MODE=true locally).');
+}
+
+const jwksClient = AUTH_JWKS_URI
+  ? jwksRsa({ jwksUri: AUTH_JWKS_URI, cache: true, cacheMaxAge: 6 * 60 * 60 * 1000, rateLimit: true })
+  : null;
+
+// resolve the verification key for a token header
+async function getVerificationKey(header) {
+  if (jwksClient) {
+    if (!header.kid) throw new Error('Token has no key id');
+    const key = await jwksClient.getSigningKey(header.kid);
+    return { key: key.getPublicKey(), algorithms: ['RS256'] };
+  }
+  if (AUTH_PUBLIC_KEY) return { key: AUTH_PUBLIC_KEY, algorithms: ['RS256', 'ES256'] };
+  return { key: AUTH_JWT_SECRET, algorithms: ['HS256'] };
+}
+
+async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) throw new Error('Malformed token');
+  const { key, algorithms } = await getVerificationKey(decoded.header);
+  return jwt.verify(token, key, { algorithms, issuer: AUTH_ISSUER, audience: AUTH_AUDIENCE });
+}
+
+// map verified claims onto req.user. A role claim is ignored: roles come from users.role.
+function userFromClaims(claims) {
+  const email = claims.email ? String(claims.email) : null;
+  if (!email) throw new Error('Token has no email claim');
+  if (FIREBASE_PROJECT_ID && claims.email_verified === false) throw new Error('Email not verified');
+  const uid = claims.uid || claims.user_id || claims.sub;
+  if (!uid) throw new Error('Token has no subject');
+  return { email, uid: String(uid), role: 'user' };
+}
+
+// --- Roles ---
+const ROLES = ['user', 'moderator', 'admin'];
+
+function roleRank(role) {
+  const i = ROLES.indexOf(role);
+  return i === -1 ? 0 : i;
+}
+
+function hasRole(user, minRole) {
+  return !!user && roleRank(user.role) >= roleRank(minRole);
+}
+
+// the stored users.role decides, so role changes apply immediately; without a users doc
+// it stays 'user' (or the x-user-role header in dev mode)
+async function resolveRole(user) {
+  const { db } = await getDb();
+  const doc = await db.collection('users').findOne({ email: user.email }, { projection: { role: 1 } });
+  if (doc && doc.role) user.role = doc.role;
+  if (!ROLES.includes(user.role)) user.role = 'user';
+  return user;
+}
+
+async function requireAuth(req, res, next) {
+  const header = req.header('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  let user = null;
+  if (scheme === 'Bearer' && token) {
+    try {
+      user = userFromClaims(await verifyToken(token));
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid or expired token', error: err.message });
+    }
+  } else if (AUTH_DEV_MODE && req.header('x-user-email')) {
+    const email = String(req.header('x-user-email'));
+    user = { email, uid: `dev:${email}`, role: req.header('x-user-role') || 'user' };
+  }
+
+  if (!user) return res.status(401).json({ message: 'Unauthorized. Send Authorization: Bearer <token>.' });
+
+  try {
+    req.user = await resolveRole(user);
+    return next();
+  } catch (err) {
+    console.error('requireAuth role lookup error:', err);
+    return res.status(500).json({ message: 'Failed to load user role', error: err.message });
+  }
+}
+
+// use after requireAuth: requireRole('moderator') lets moderators and admins through
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, minRole)) return res.status(403).json({ message: `Forbidden: ${minRole} role required` });
+    next();
+  };
+}
+
+// like requireAuth, but anonymous requests pass through with no req.user
+function optionalAuth(req, res, next) {
+  if (req.header('authorization') || (AUTH_DEV_MODE && req.header('x-user-email'))) return requireAuth(req, res, next);
+  next();
+}
+
+// ObjectId when the string is a canonical ObjectId, raw string _id otherwise
+function idQuery(id) {
+  if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) return { _id: new ObjectId(id) };
+  return { _id: id };
+}
+
+// userChallenges.challengeId of a challenge; rows from before the ObjectId migration hold it as a string
+function challengeIdMatch(id) {
+  return { $in: [id, String(id)] };
+}
+
+// 24-char hex only; ObjectId.isValid also accepts any 12-character string
+function isObjectIdHex(id) {
+  return /^[0-9a-f]{24}$/i.test(String(id));
+}
+
+// --- EcoPoints rules ---
+// Override any of these with POINTS_RULES='{"challengeFinished":100}'.
+const DEFAULT_POINTS_RULES = {
+  progressLogged: 2, // once per participation per logged day
+  challengeFinished: 50, // once per user-challenge
+  tipUpvoteReceived: 5, // tip author, per upvote
+  eventAttended: 20, // once per event registration
+};
+let POINTS_RULES;
+try {
+  POINTS_RULES = { ...DEFAULT_POINTS_RULES, ...JSON.parse(process.env.POINTS_RULES || '{}') };
+} catch (err) {
+  throw new Error(`POINTS_RULES is not valid JSON: ${err.message}`);
+}
+
+// --- Impact metrics ---
+// Each quantity type has a base unit (factor 1). Progress logs keep the
+// value in the challenge's unit plus a baseValue used for cross-challenge totals.
+const METRIC_TYPES = {
+  plastic: { label: 'Plastic reduced', baseUnit: 'kg', units: { kg: 1, g: 0.001, lb: 0.45359237 } },
+  co2: { label: 'CO2 avoided', baseUnit: 'kg', units: { kg: 1, g: 0.001, t: 1000, lb: 0.45359237 } },
+  water: { label: 'Water saved', baseUnit: 'L', units: { L: 1, mL: 0.001, m3: 1000, gal: 3.785411784 } },
+  energy: { label: 'Energy saved', baseUnit: 'kWh', units: { kWh: 1, Wh: 0.001, MJ: 0.2777777778 } },
+  distance: { label: 'Low-carbon distance', baseUnit: 'km', units: { km: 1, m: 0.001, mi: 1.609344 } },
+  count: { label: 'Actions completed', baseUnit: 'count', units: { count: 1 } },
+};
+
+// returns { metric } with a normalised { type, unit }, or { error }
+function parseMetric(input) {
+  if (!input || typeof input !== 'object') return { error: 'metric must be an object like { type, unit }' };
+  const def = METRIC_TYPES[input.type];
+  if (!def) return { error: `metric.type must be one of ${Object.keys(METRIC_TYPES).join(', ')}` };
+  const unit = input.unit || def.baseUnit;
+  if (!(unit in def.units)) return { error: `metric.unit for ${input.type} must be one of ${Object.keys(def.units).join(', ')}` };
+  return { metric: { type: input.type, unit } };
+}
+
+// convert between units of the same quantity type; throws on incompatible units
+function convertUnits(value, fromUnit, toUnit, type) {
+  const def = METRIC_TYPES[type];
+  if (!def || !(fromUnit in def.units) || !(toUnit in def.units)) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit} for ${type}`);
+  }
+  return (value * def.units[fromUnit]) / def.units[toUnit];
+}
+
+// --- Comments ---
+const COMMENT_EDIT_WINDOW_MS = (Number(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const COMMENT_MAX_DEPTH = 5; // top-level comments are depth 0
+const COMMENT_MAX_LENGTH = 5000;
+
+// nest a flat, createdAt-sorted list of replies under their roots
+function buildCommentTree(roots, replies) {
+  const byId = new Map();
+  for (const c of [...roots, ...replies]) byId.set(String(c._id), { ...c, replies: [] });
+  for (const r of replies) {
+    const parent = byId.get(String(r.parentId));
+    if (parent) parent.replies.push(byId.get(String(r._id)));
+  }
+  return roots.map(c => byId.get(String(c._id)));
+}
+
+// --- Check-ins and streaks ---
+// Days are 'YYYY-MM-DD' strings in the user's timezone (IANA name, default UTC).
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function localDay(date, timeZone = 'UTC') {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+}
+
+function dayNumber(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+}
+
+// the current streak survives until the end of the day after the last check-in
+function computeStreaks(days, today) {
+  const nums = [...new Set(days)].map(dayNumber).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < nums.length; i++) {
+    run = i > 0 && nums[i] === nums[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  const last = nums[nums.length - 1];
+  const current = last !== undefined && dayNumber(today) - last <= 1 ? run : 0;
+  return { current, longest };
+}
+
+const LOG_NOTE_MAX_LENGTH = 500;
+// fields recomputed when a log's value changes
+const LOG_MEASUREMENT_FIELDS = ['value', 'unit', 'metricType', 'baseValue', 'input'];
+
+// challenge length in days; older challenges may lack `duration`
+function challengeDurationDays(ch) {
+  if (Number(ch.duration) > 0) return Number(ch.duration);
+  if (ch.startDate && ch.endDate) return Math.max(1, Math.round((new Date(ch.endDate) - new Date(ch.startDate)) / 86400000));
+  return 1;
+}
+
+// --- Schema validation ---
+// A schema maps field names to specs:
+//   { type: 'string' | 'url' | 'email' | 'number' | 'integer' | 'date' | 'boolean' | 'object' | 'array',
+//     required, min, max, values, default, custom }
+// min/max bound string length, numeric value or array length; `values` is an enum;
+// `custom(value)` returns { value } or { error }. Unknown fields are dropped and every
+// field error is collected. With { partial: true } (PATCH) absent fields are left alone
+// and no defaults apply; null or '' clears an optional field (back to its default, or
+// null) and is an error for a required one.
+const URL_RE = /^https?:\/\/\S+$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function checkField(name, spec, raw) {
+  let value = raw;
+  switch (spec.type) {
+    case 'string':
+    case 'url':
+    case 'email': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${name} must be a string` };
+      value = String(raw).trim();
+      if (spec.min !== undefined && value.length < spec.min) return { error: `${name} must be at least ${spec.min} characters` };
+      if (spec.max !== undefined && value.length > spec.max) return { error: `${name} must be at most ${spec.max} characters` };
+      if (spec.type === 'url' && !URL_RE.test(value)) return { error: `${name} must be an http(s) URL` };
+      if (spec.type === 'email' && !EMAIL_RE.test(value)) return { error: `${name} must be an email address` };
+      break;
+    }
+    case 'number':
+    case 'integer': {
+      value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${name} must be a number` };
+      if (spec.type === 'integer' && !Number.isInteger(value)) return { error: `${name} must be an integer` };
+      if (spec.min !== undefined && value < spec.min) return { error: `${name} must be at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `${name} must be at most ${spec.max}` };
+      break;
+    }
+    case 'date': {
+      if (typeof raw !== 'string' && typeof raw !== 'number' && !(raw instanceof Date)) return { error: `${name} must be a valid date` };
+      value = new Date(raw);
+      if (Number.isNaN(value.getTime())) return { error: `${name} must be a valid date` };
+      break;
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') return { error: `${name} must be true or false` };
+      break;
+    case 'object':
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${name} must be an object` };
+      break;
+    case 'array':
+      if (!Array.isArray(raw)) return { error: `${name} must be an array` };
+      if (spec.min !== undefined && raw.length < spec.min) return { error: `${name} must have at least ${spec.min} item${spec.min === 1 ? '' : 's'}` };
+      if (spec.max !== undefined && raw.length > spec.max) return { error: `${name} must have at most ${spec.max} items` };
+      break;
+    default:
+      break;
+  }
+  if (spec.values && !spec.values.includes(value)) return { error: `${name} must be one of ${spec.values.join(', ')}` };
+  if (spec.custom) return spec.custom(value);
+  return { value };
+}
+
+function validateSchema(schema, input, { partial = false } = {}) {
+  const data = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const value = {};
+  const errors = [];
+  for (const [name, spec] of Object.entries(schema)) {
+    const raw = data[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (partial) {
+        if (raw === undefined) continue;
+        if (spec.required) errors.push({ field: name, message: `${name} cannot be cleared` });
+        else value[name] = spec.default !== undefined ? (typeof spec.default === 'function' ? spec.default() : spec.default) : null;
+        continue;
+      }
+      if (spec.required) errors.push({ field: name, message: `${name} is required` });
+      else if (spec.default !== undefined) value[name] = typeof spec.default === 'function' ? spec.default() : spec.default;
+      continue;
+    }
+    const result = checkField(name, spec, raw);
+    if (result.error) errors.push({ field: name, message: result.error });
+    else value[name] = result.value;
+  }
+  return { value, errors };
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ message: 'Validation failed', errors });
+}
+
+// replaces req.body with the validated, stripped copy
+function validateBody(schema, opts) {
+  return (req, res, next) => {
+    const { value, errors } = validateSchema(schema, req.body, opts);
+    if (errors.length) return sendValidationErrors(res, errors);
+    req.body = value;
+    next();
+  };
+}
+
+const SCHEMAS = {
+  // participants/commentCount are server-owned counters and deliberately absent
+  challenge: {
+    title: { type: 'string', required: true, min: 3, max: 120 },
+    category: { type: 'string', required: true, min: 1, max: 60 },
+    description: { type: 'string', required: true, min: 10, max: 5000 },
+    duration: { type: 'integer', required: true, min: 1, max: 365 },
+    target: { type: 'string', required: true, min: 1, max: 200 },
+    // one of imageUrl / imageId is required on create
+    imageUrl: { type: 'url', max: 2000 },
+    imageId: { type: 'string', max: 24 },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date', required: true },
+    impactMetric: { type: 'string', max: 120, default: '' },
+    metric: {
+      type: 'object',
+      required: true,
+      custom: (v) => {
+        const { metric, error } = parseMetric(v);
+        return error ? { error } : { value: metric };
+      },
+    },
+  },
+  tip: {
+    title: { type: 'string', required: true, min: 3, max: 150 },
+    content: { type: 'string', required: true, min: 10, max: 5000 },
+    category: { type: 'string', required: true, min: 1, max: 60 },
+    authorName: { type: 'string', max: 100, default: '' },
+  },
+  event: {
+    title: { type: 'string', required: true, min: 3, max: 150 },
+    description: { type: 'string', required: true, min: 10, max: 5000 },
+    date: { type: 'date', required: true },
+    location: { type: 'string', required: true, min: 1, max: 200 },
+    organizer: { type: 'string', required: true, min: 1, max: 120 },
+    maxParticipants: { type: 'integer', required: true, min: 1, max: 100000 },
+    imageUrl: { type: 'url', max: 2000 },
+    imageId: { type: 'string', max: 24 },
+  },
+  user: {
+    name: { type: 'string', max: 100 },
+    photoURL: { type: 'url', max: 2000 },
+    photoImageId: { type: 'string', max: 24 },
+    bio: { type: 'string', max: 500 },
+    location: { type: 'string', max: 100 },
+    timezone: { type: 'string', max: 64, custom: v => (isValidTimeZone(v) ? { value: v } : { error: 'timezone must be an IANA time zone' }) },
+  },
+  comment: {
+    body: { type: 'string', required: true, min: 1, max: COMMENT_MAX_LENGTH },
+    parentId: { type: 'string', max: 64 },
+    authorName: { type: 'string', max: 100, default: '' },
+  },
+  // `progress` is derived from check-in days, so clients can't set it.
+  // `timezone` only counts on a participation's first log; after that its days are fixed.
+  progress: {
+    addLogValue: { type: 'number', required: true, max: 1e6, custom: v => (v > 0 ? { value: v } : { error: 'addLogValue must be greater than 0' }) },
+    unit: { type: 'string', max: 20 },
+    timezone: { type: 'string', max: 64, custom: v => (isValidTimeZone(v) ? { value: v } : { error: 'timezone must be an IANA time zone' }) },
+    note: { type: 'string', max: LOG_NOTE_MAX_LENGTH },
+    evidenceUrl: { type: 'url', max: 2000 },
+  },
+  checkIn: {
+    value: { type: 'number', min: 0, max: 1e6 },
+    unit: { type: 'string', max: 20 },
+    timezone: { type: 'string', max: 64, custom: v => (isValidTimeZone(v) ? { value: v } : { error: 'timezone must be an IANA time zone' }) },
+    note: { type: 'string', max: LOG_NOTE_MAX_LENGTH },
+    evidenceUrl: { type: 'url', max: 2000 },
+  },
+  tipVote: {
+    value: { type: 'integer', required: true, values: [1, -1, 0] },
+  },
+  attendance: {
+    emails: { type: 'array', required: true, min: 1, max: 1000, custom: v => ({ value: v.map(String) }) },
+  },
+  role: {
+    role: { type: 'string', required: true, values: ROLES },
+  },
+  // key is fixed once created; PATCH ignores it
+  badge: {
+    key: { type: 'string', required: true, max: 60, custom: v => (/^[a-z0-9-]+$/.test(v) ? { value: v } : { error: 'key must be lowercase letters, digits and dashes' }) },
+    name: { type: 'string', required: true, min: 1, max: 100 },
+    description: { type: 'string', max: 500, default: '' },
+    active: { type: 'boolean', default: true },
+    criteria: {
+      type: 'object',
+      required: true,
+      custom: (v) => {
+        const error = validateBadgeCriteria(v);
+        return error ? { error } : { value: v };
+      },
+    },
+  },
+  team: {
+    name: { type: 'string', required: true, min: 3, max: 80 },
+    description: { type: 'string', max: 500, default: '' },
+  },
+  teamMember: {
+    email: { type: 'email', required: true, max: 254 },
+  },
+  // editing an existing log entry; send null to clear note or evidenceUrl
+  progressLog: {
+    value: { type: 'number', min: 0, max: 1e6 },
+    unit: { type: 'string', max: 20 },
+    note: { type: 'string', max: LOG_NOTE_MAX_LENGTH },
+    evidenceUrl: { type: 'url', max: 2000 },
+  },
+  // manual ecoPoints correction (admin); negative points take them away
+  pointsAdjustment: {
+    points: { type: 'number', required: true, min: -1e6, max: 1e6, custom: v => (v !== 0 ? { value: v } : { error: 'points must not be 0' }) },
+    note: { type: 'string', max: 500, default: '' },
+  },
+};
+
+// endDate must come after startDate, looking at the existing doc for PATCHes
+// a challenge keeps an image: imageUrl or imageId, after applying `value` over `existing`
+function challengeImageErrors(value, existing = {}) {
+  const merged = { ...existing, ...value };
+  return merged.imageUrl || merged.imageId ? [] : [{ field: 'imageUrl', message: 'imageUrl or imageId is required' }];
+}
+
+function challengeDateErrors(value, existing = {}) {
+  const start = value.startDate || existing.startDate;
+  const end = value.endDate || existing.endDate;
+  if (start && end && new Date(end) <= new Date(start)) return [{ field: 'endDate', message: 'endDate must be after startDate' }];
+  return [];
+}
+
+// --- Soft delete ---
+// Deleted challenges and tips keep a deletedAt and can be restored until the purge
+// job removes them for good after the retention period.
+const NOT_DELETED = { deletedAt: { $exists: false } };
+// Participations of a deleted challenge are archived but keep their status, so
+// "still taking part" has to leave them out too.
+const ACTIVE_PARTICIPATION = { status: 'Ongoing', archivedAt: { $exists: false } };
+const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+// --- Audit log ---
+// Create/update/delete of content and role changes are recorded per document with a
+// field-level diff and a snapshot of the audited fields afterwards; revert restores a snapshot.
+// `managed` fields are recorded but owned by jobs (the lifecycle archive), so revert skips them.
+const AUDITED = {
+  challenges: { label: 'Challenge', schema: SCHEMAS.challenge, fields: [...Object.keys(SCHEMAS.challenge), 'status'], managed: ['status'], owner: 'createdBy' },
+  tips: { label: 'Tip', schema: SCHEMAS.tip, fields: Object.keys(SCHEMAS.tip), owner: 'author' },
+  events: { label: 'Event', schema: SCHEMAS.event, fields: Object.keys(SCHEMAS.event), owner: 'createdBy' },
+  users: { label: 'User', fields: ['role'] },
+};
+
+// EJSON-ish comparison so Dates and ObjectIds compare by value
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function auditSnapshot(doc, fields) {
+  const snapshot = {};
+  for (const f of fields) if (doc[f] !== undefined) snapshot[f] = doc[f];
+  return snapshot;
+}
+
+function auditDiff(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!sameValue(from, to)) changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+  }
+  return changes;
+}
+
+// --- Badges ---
+// Criteria are data, so admins can add badges without a deploy:
+//   { metric: 'challengesFinished', gte: 5 }
+//   { metric: 'tipsWithUpvotes', gte: 10, params: { minUpvotes: 50 } }
+//   { all: [ <criteria>, <criteria> ] }
+const BADGE_METRICS = [
+  'challengesJoined',
+  'challengesFinished',
+  'longestLoggingStreak', // consecutive days with at least one progress log
+  'tipsPosted',
+  'tipsWithUpvotes', // params.minUpvotes, default 1
+  'eventsAttended',
+  'ecoPoints',
+];
+
+const DEFAULT_BADGES = [
+  { key: 'first-challenge', name: 'First Step', description: 'Joined your first challenge', criteria: { metric: 'challengesJoined', gte: 1 } },
+  { key: 'five-finished', name: 'Finisher', description: 'Finished 5 challenges', criteria: { metric: 'challengesFinished', gte: 5 } },
+  { key: 'streak-30', name: 'Habit Formed', description: 'Logged progress 30 days in a row', criteria: { metric: 'longestLoggingStreak', gte: 30 } },
+  { key: 'tip-star', name: 'Tip Star', description: '10 tips with 50+ upvotes each', criteria: { metric: 'tipsWithUpvotes', gte: 10, params: { minUpvotes: 50 } } },
+  { key: 'event-regular', name: 'Event Regular', description: 'Attended 3 events', criteria: { metric: 'eventsAttended', gte: 3 } },
+];
+
+// returns an error message, or null when the criteria are well-formed
+function validateBadgeCriteria(criteria) {
+  if (!criteria || typeof criteria !== 'object') return 'criteria must be an object';
+  if (Array.isArray(criteria.all)) {
+    if (!criteria.all.length) return 'criteria.all must not be empty';
+    for (const c of criteria.all) {
+      const err = validateBadgeCriteria(c);
+      if (err) return err;
+    }
+    return null;
+  }
+  if (!BADGE_METRICS.includes(criteria.metric)) return `criteria.metric must be one of ${BADGE_METRICS.join(', ')}`;
+  if (typeof criteria.gte !== 'number' || criteria.gte < 0) return 'criteria.gte must be a non-negative number';
+  if (criteria.params !== undefined && (typeof criteria.params !== 'object' || criteria.params === null)) return 'criteria.params must be an object';
+  return null;
+}
+
+// longest run of consecutive UTC days among the given dates
+function longestDailyStreak(dates) {
+  const days = [...new Set(dates.map(d => Math.floor(new Date(d).getTime() / 86400000)).filter(Number.isFinite))].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+// --- CSV ---
+// RFC 4180 quoting. Text cells a spreadsheet would evaluate as a formula get a leading '.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  let s;
+  if (value instanceof Date) s = value.toISOString();
+  else if (value instanceof ObjectId) s = String(value);
+  else if (typeof value === 'object') s = JSON.stringify(value);
+  else s = String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// reverses the formula guard added by csvCell, so exports re-import unchanged
+function fromCsvCell(s) {
+  return /^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s;
+}
+
+// RFC 4180 parser. Returns { rows } keyed by the header line, or { error }.
+// Blank lines are skipped; missing trailing cells are left undefined.
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      cell += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && cell === '') { quoted = true; i++; continue; }
+    if (ch === ',') { record.push(cell); cell = ''; i++; continue; }
+    if (ch === '\r' || ch === '\n') {
+      record.push(cell);
+      if (record.length > 1 || record[0] !== '') records.push(record);
+      record = [];
+      cell = '';
+      i += ch === '\r' && src[i + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+    cell += ch;
+    i++;
+  }
+  if (quoted) return { error: 'Unterminated quoted field' };
+  record.push(cell);
+  if (record.length > 1 || record[0] !== '') records.push(record);
+  if (!records.length) return { error: 'CSV has no header line' };
+
+  const header = records[0].map(h => h.trim());
+  if (header.some(h => !h)) return { error: 'CSV header has an empty column name' };
+  if (new Set(header).size !== header.length) return { error: 'CSV header has duplicate column names' };
+  const rows = records.slice(1).map(cells => {
+    const row = {};
+    header.forEach((h, idx) => {
+      if (cells[idx] !== undefined) row[h] = fromCsvCell(cells[idx]);
+    });
+    return row;
+  });
+  return { rows };
+}
+
+// one level of nesting <-> dotted column names ("metric.type")
+function flattenForCsv(doc) {
+  const flat = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof ObjectId)) {
+      for (const [sub, v] of Object.entries(value)) flat[`${key}.${sub}`] = v;
+    } else flat[key] = value;
+  }
+  return flat;
+}
+
+function unflattenCsvRow(row) {
+  const doc = {};
+  for (const [key, value] of Object.entries(row)) {
+    const dot = key.indexOf('.');
+    if (dot === -1) { doc[key] = value; continue; }
+    if (value === '') continue;
+    const [parent, sub] = [key.slice(0, dot), key.slice(dot + 1)];
+    doc[parent] = { ...(doc[parent] && typeof doc[parent] === 'object' ? doc[parent] : {}), [sub]: value };
+  }
+  return doc;
+}
+
+// --- Bulk import ---
+// Admins import challenges, tips and events from CSV or JSON. Rows carrying an
+// externalId update the document previously imported under it instead of adding one.
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_EXTERNAL_ID = { type: 'string', min: 1, max: 100 };
+// object fields as dotted CSV columns
+const IMPORT_CSV_NESTED = { metric: ['type', 'unit'] };
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+});
+
+// optional multipart field "file" -> req.file; a plain JSON body passes through
+function receiveImportFile(req, res, next) {
+  importUpload.single('file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: `File must be at most ${IMPORT_MAX_BYTES} bytes` });
+    if (err) return sendValidationErrors(res, [{ field: 'file', message: err.message }]);
+    next();
+  });
+}
+
+// Rows from the upload (CSV or JSON, by ?format or file extension) or from the JSON
+// body ({ items: [...] } or a bare array). Returns { rows } or { error }.
+function readImportRows(req) {
+  if (!req.file) {
+    const items = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+    if (!Array.isArray(items)) return { error: 'Send a file (multipart field "file") or a JSON body { items: [...] }' };
+    return { rows: items };
+  }
+  const name = String(req.file.originalname || '').toLowerCase();
+  const format = req.query.format ? String(req.query.format) : name.endsWith('.json') ? 'json' : 'csv';
+  const text = req.file.buffer.toString('utf8');
+  if (format === 'csv') {
+    const { rows, error } = parseCsv(text);
+    return error ? { error } : { rows: rows.map(unflattenCsvRow) };
+  }
+  if (format !== 'json') return { error: 'format must be json or csv' };
+  let parsed;
+  try {
+    parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+  return Array.isArray(items) ? { rows: items } : { error: 'JSON file must be an array or { items: [...] }' };
+}
+
+// --- Search helpers ---
+const SEARCH_TYPES = ['challenge', 'tip', 'event'];
+const SEARCH_MAX_QUERY = 120;
+const SEARCH_MAX_WINDOW = 500; // page * limit cap
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// positive terms of a $text query ("-word" negations are dropped)
+function searchTerms(q) {
+  return String(q).replace(/"/g, ' ').split(/\s+/).filter(t => t && !t.startsWith('-')).slice(0, 10);
+}
+
+// HTML-escaped excerpt around the first match, with matches wrapped in <mark>
+function highlightSnippet(text, terms, radius = 80) {
+  const source = String(text || '');
+  if (!source || !terms.length) return escapeHtml(source.slice(0, radius * 2));
+  const re = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const first = source.search(re);
+  const start = first <= radius ? 0 : first - radius;
+  const end = Math.min(source.length, (first === -1 ? 0 : first) + radius * 2);
+  const excerpt = source.slice(start, end);
+  // match on the raw text, then escape each piece, so terms never match inside an entity
+  let marked = '';
+  let last = 0;
+  for (const m of excerpt.matchAll(re)) {
+    if (!m[0]) continue;
+    marked += `${escapeHtml(excerpt.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  marked += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? '…' : ''}${marked}${end < source.length ? '…' : ''}`;
+}
+
+// --- Cursor pagination ---
+// Cursors are opaque base64url JSON. Keyset cursors ({ f, v, id }) hold the
+// boundary row's sort field, value and _id; computed sorts (hot, relevance)
+// fall back to offset cursors ({ o }).
+function tagCursorValue(v) {
+  if (v instanceof Date) return { $date: v.toISOString() };
+  if (v instanceof ObjectId) return { $oid: v.toHexString() };
+  return v;
+}
+
+// Cursors come back from clients, so anything but a scalar or one of our tags (an
+// operator object like { $ne: null } in particular) throws and fails decodeCursor.
+function untagCursorValue(v) {
+  if (v === null || ['string', 'boolean'].includes(typeof v) || Number.isFinite(v)) return v;
+  const keys = v && typeof v === 'object' && !Array.isArray(v) ? Object.keys(v) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof v.$date === 'string') {
+    const date = new Date(v.$date);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (keys.length === 1 && keys[0] === '$oid' && isObjectIdHex(v.$oid)) return new ObjectId(v.$oid);
+  throw new Error('Invalid cursor value');
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (!c || typeof c !== 'object') return null;
+    if ('v' in c) c.v = untagCursorValue(c.v);
+    if ('id' in c) c.id = untagCursorValue(c.id);
+    return c;
+  } catch (err) {
+    return null;
+  }
+}
+
+function keysetCursor(doc, field) {
+  return encodeCursor({ f: field, v: tagCursorValue(doc[field]), id: tagCursorValue(doc._id) });
+}
+
+// ?limit, ?cursor (next page) or ?before (previous page). Pass the sort field
+// for keyset paging, or field: null for offset paging.
+function readCursorParams(query, { defaultLimit = 20, maxLimit = 100, field }) {
+  const limit = Math.min(maxLimit, Math.max(1, Number(query.limit) || defaultLimit));
+  const raw = query.before || query.cursor;
+  if (!raw) return { limit, cursor: null, backwards: false };
+
+  const cursor = decodeCursor(raw);
+  const valid = cursor && (field ? cursor.f === field && 'id' in cursor : Number.isInteger(cursor.o) && cursor.o >= 0);
+  if (!valid) return { errors: [{ field: query.before ? 'before' : 'cursor', message: 'Invalid cursor for this sort' }] };
+  return { limit, cursor, backwards: !!query.before };
+}
+
+// Keyset page over `field` (dir 1/-1) with _id as the tie-breaker.
+async function keysetPage(collection, query, { field, dir }, { limit, cursor, backwards }, options = {}) {
+  const order = backwards ? -dir : dir;
+  const op = order === 1 ? '$gt' : '$lt';
+
+  let q = query;
+  if (cursor) {
+    const boundary = field === '_id'
+      ? { _id: { [op]: cursor.id } }
+      : { $or: [{ [field]: { [op]: cursor.v } }, { [field]: cursor.v, _id: { [op]: cursor.id } }] };
+    q = { ...query, $and: [...(query.$and || []), boundary] };
+  }
+
+  const sort = field === '_id' ? { _id: order } : { [field]: order, _id: order };
+  const docs = await collection.find(q, options).sort(sort).limit(limit + 1).toArray();
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  return {
+    items,
+    next: last && (backwards || hasMore) ? keysetCursor(last, field) : null,
+    prev: first && (backwards ? hasMore : !!cursor) ? keysetCursor(first, field) : null,
+  };
+}
+
+function offsetCursors(offset, limit, hasMore) {
+  return {
+    next: hasMore ? encodeCursor({ o: offset + limit }) : null,
+    prev: offset > 0 ? encodeCursor({ o: Math.max(0, offset - limit) }) : null,
+  };
+}
+
+// comma-separated query param -> $in
+function listFilter(value) {
+  return { $in: String(value).split(',').map(s => s.trim()).filter(Boolean) };
+}
+
+// case-insensitive "contains" on user input, safely escaped
+function containsFilter(value) {
+  return new RegExp(escapeRegExp(String(value).slice(0, 100)), 'i');
+}
+
+// --- iCalendar (RFC 5545) ---
+const ICS_PRODID = '-//EcoTrack//EcoTrack API//EN';
+const ICS_UID_DOMAIN = 'ecotrack';
+const EVENT_DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000; // events only store a start date
+
+function icsEscape(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// 20261019T093000Z
+function icsDateTime(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 20261019 (all-day values)
+function icsDate(d) {
+  return new Date(d).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// content lines are folded at 75 octets
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// one VEVENT. SEQUENCE/LAST-MODIFIED follow updatedAt so subscribed calendars pick up date changes.
+function icsEvent({ uid, summary, description, location, start, end, allDay, updatedAt, status }) {
+  const modified = new Date(updatedAt || Date.now());
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${icsDateTime(modified)}`,
+    `LAST-MODIFIED:${icsDateTime(modified)}`,
+    `SEQUENCE:${Math.floor(modified.getTime() / 1000)}`,
+    allDay ? `DTSTART;VALUE=DATE:${icsDate(start)}` : `DTSTART:${icsDateTime(start)}`,
+    allDay ? `DTEND;VALUE=DATE:${icsDate(end)}` : `DTEND:${icsDateTime(end)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${icsEscape(description)}`);
+  if (location) lines.push(`LOCATION:${icsEscape(location)}`);
+  if (status) lines.push(`STATUS:${status}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function icsCalendar(name, vevents) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    ...vevents.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function eventToIcs(ev, status) {
+  const start = new Date(ev.date);
+  return icsEvent({
+    uid: `event-${ev._id}`,
+    summary: ev.title,
+    description: ev.description,
+    location: ev.location,
+    start,
+    end: ev.endDate ? new Date(ev.endDate) : new Date(start.getTime() + EVENT_DEFAULT_DURATION_MS),
+    updatedAt: ev.updatedAt || ev.createdAt,
+    status,
+  });
+}
+
+// challenges are all-day spans; DTEND is exclusive so it's the day after endDate
+function challengeToIcs(ch) {
+  const end = new Date(ch.endDate);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return icsEvent({
+    uid: `challenge-${ch._id}`,
+    summary: `Challenge: ${ch.title}`,
+    description: [ch.description, ch.target ? `Target: ${ch.target}` : ''].filter(Boolean).join('\n\n'),
+    start: ch.startDate,
+    end,
+    allDay: true,
+    updatedAt: ch.updatedAt || ch.createdAt,
+  });
+}
+
+function sendIcs(res, filename, body, { cacheControl = 'public, max-age=300' } = {}) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': cacheControl,
+  });
+  res.send(body);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// --- Images ---
+// Uploads are checked by decoding them (the declared type is only a first filter),
+// re-encoded without metadata and stored in GridFS next to resized WebP variants.
+const IMAGE_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 4 * 1024 * 1024; // Vercel caps bodies at 4.5 MB
+const IMAGE_MAX_PIXELS = 40e6;
+const IMAGE_VARIANTS = { thumb: 200, medium: 800 }; // longest side in px
+const IMAGE_ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000; // time to attach an upload before cleanup may remove it
+// where uploaded images are referenced: [collection, id field, url field filled from it]
+const IMAGE_REFS = [
+  ['challenges', 'imageId', 'imageUrl'],
+  ['events', 'imageId', 'imageUrl'],
+  ['users', 'photoImageId', 'photoURL'],
+];
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (Object.values(IMAGE_FORMATS).includes(file.mimetype)) return cb(null, true);
+    const err = new Error(`image must be one of ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    err.status = 415;
+    cb(err);
+  },
+});
+
+// multipart field "image" -> req.file, with JSON errors instead of multer's defaults
+function receiveImage(req, res, next) {
+  imageUpload.single('image')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: `Image must be at most ${IMAGE_MAX_BYTES} bytes` });
+    if (err && err.status === 415) return res.status(415).json({ message: err.message });
+    if (err) return sendValidationErrors(res, [{ field: 'image', message: err.message }]);
+    if (!req.file) return sendValidationErrors(res, [{ field: 'image', message: 'image file is required' }]);
+    next();
+  });
+}
+
+// Decode, strip metadata and build the variants. Returns { error } for anything
+// that isn't a supported image.
+async function processImage(buffer) {
+  const open = () => sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS, animated: true }).rotate();
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).metadata();
+  } catch (err) {
+    return { error: 'File is not a readable image' };
+  }
+  if (!IMAGE_FORMATS[meta.format]) return { error: `image must be one of ${Object.keys(IMAGE_FORMATS).join(', ')}` };
+
+  // a readable header says nothing about the pixel data; truncated files fail here
+  let original;
+  const variants = {};
+  try {
+    original = await open().toFormat(meta.format).toBuffer({ resolveWithObject: true });
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = await open()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+    }
+  } catch (err) {
+    return { error: 'Image data is corrupt or truncated' };
+  }
+  return { format: meta.format, contentType: IMAGE_FORMATS[meta.format], original, variants };
+}
+
+// scheme://host the request came in on (Vercel terminates TLS in front of us)
+function requestOrigin(req) {
+  return `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+}
+
+// --- Notifications ---
+// type -> description; users can opt out per type via users.notificationPrefs
+const NOTIFICATION_TYPES = {
+  challenge_joined: 'Someone joined a challenge you created',
+  challenge_updated: 'A challenge you joined was changed by its owner',
+  challenge_ending: 'A challenge you joined is about to end',
+  event_upcoming: 'An event you registered for is coming up',
+  event_promoted: 'You got a seat from an event waitlist',
+  tip_upvoted: 'Your tip was upvoted',
+  badge_awarded: 'You earned a badge',
+  team_invite: 'You were invited to a team',
+  team_challenge_joined: 'Your team joined a challenge',
+  new_follower: 'Someone followed you',
+  challenge_deleted: 'A challenge you joined was removed',
+};
+// bodies of notifications about another user's action, from the actor's display name;
+// the actor's email is kept in its own field, never in the text
+const NOTIFICATION_ACTOR_BODIES = {
+  challenge_joined: name => `${name} joined your challenge.`,
+  new_follower: name => `${name} started following you.`,
+  team_invite: name => `${name} invited you to their team.`,
+};
+// how far ahead the scheduled run looks; wider than the cron interval so nothing slips between runs
+const CHALLENGE_ENDING_LOOKAHEAD_MS = 36 * 60 * 60 * 1000;
+const EVENT_UPCOMING_LOOKAHEAD_MS = 72 * 60 * 60 * 1000;
+
+// --- Activity feed ---
+// what followers can see; each type can be hidden via users.activitySharing
+const ACTIVITY_TYPES = {
+  challenge_joined: 'Joining a challenge',
+  challenge_finished: 'Finishing a challenge',
+  tip_posted: 'Posting a tip',
+  event_registered: 'Registering for an event',
+  badge_awarded: 'Earning a badge',
+};
+const FEED_MAX_FOLLOWING = 1000; // most recent follows a feed is built from
+
+// --- Cron ---
+// Vercel cron sends "Authorization: Bearer $CRON_SECRET"
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+function requireCronSecret(req, res, next) {
+  if (!CRON_SECRET) return res.status(503).json({ message: 'Cron is not configured (set CRON_SECRET)' });
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const given = Buffer.from(req.header('authorization') || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ message: 'Unauthorized' });
   }
-  req.user = { email: userEmail };
   next();
 }
 
-// simple immediate health check
-app.get('/', (req, res) => res.send('server is running'));
+// --- Teams ---
+const TEAM_MAX_MEMBERS = Number(process.env.TEAM_MAX_MEMBERS) || 50;
+
+// --- Leaderboard helpers ---
+const LEADERBOARD_WINDOWS = ['all', 'weekly', 'monthly'];
+
+// start of the current calendar week (Monday) or month, in UTC; null for all-time
+function leaderboardWindowStart(window, now = new Date()) {
+  if (window === 'weekly') {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d;
+  }
+  if (window === 'monthly') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return null;
+}
+
+// Competition ranking ("1, 2, 2, 4"). Items are sorted by score desc with a
+// stable tie-break; `firstRank` is the rank of items[0], `offset` its position.
+function assignRanks(items, scoreOf, firstRank, offset) {
+  let rank = firstRank;
+  return items.map((item, i) => {
+    if (i > 0 && scoreOf(item) !== scoreOf(items[i - 1])) rank = offset + i + 1;
+    return { rank, ...item };
+  });
+}
+
+// Aggregation stages that rank by `field` descending (ties share a rank, as in
+// assignRanks) and then sort with `tieBreak` for stable pages.
+function rankedBy(field, tieBreak) {
+  return [
+    { $setWindowFields: { sortBy: { [field]: -1 }, output: { rank: { $rank: {} } } } },
+    { $sort: { [field]: -1, ...tieBreak } },
+  ];
+}
+
+// simple immediate health check
+app.get('/', (req, res) => res.send('server is running'));
+
+// Attach routes once (idempotent)
+async function attachRoutes() {
+  if (app.locals._routesAttached) return;
+  app.locals._routesAttached = true;
+
+  const { client, db } = await getDb();
+
+  const challengesCollection = db.collection('challenges');
+  const tipsCollection = db.collection('tips');
+  const eventsCollection = db.collection('events');
+  const usersCollection = db.collection('users');
+  const userChallengesCollection = db.collection('userChallenges');
+  const eventRegistrationsCollection = db.collection('eventRegistrations');
+  const pointsLedgerCollection = db.collection('pointsLedger');
+  const badgeDefinitionsCollection = db.collection('badgeDefinitions');
+  const userBadgesCollection = db.collection('userBadges');
+  const tipVotesCollection = db.collection('tipVotes');
+  const commentsCollection = db.collection('comments');
+  const notificationsCollection = db.collection('notifications');
+  const jobRunsCollection = db.collection('jobRuns');
+  const imagesCollection = db.collection('images');
+  const teamsCollection = db.collection('teams');
+  const teamInvitesCollection = db.collection('teamInvites');
+  const teamChallengesCollection = db.collection('teamChallenges');
+  const followsCollection = db.collection('follows');
+  const activitiesCollection = db.collection('activities');
+  const auditLogCollection = db.collection('auditLog');
+  const imageBucket = new GridFSBucket(db, { bucketName: 'images' });
+
+  // Run fn(session) in a transaction; the Atlas cluster is a replica set, so these are available.
+  // withTransaction retries transient errors and returns fn's result.
+  function inTransaction(fn) {
+    return client.withSession(session => session.withTransaction(() => fn(session)));
+  }
+
+  // indexes (idempotent; a failure is logged but doesn't block startup)
+  await Promise.all([
+    eventRegistrationsCollection.createIndex({ eventId: 1, userId: 1 }, { unique: true }),
+    eventRegistrationsCollection.createIndex({ eventId: 1, status: 1, registeredAt: 1 }),
+    eventRegistrationsCollection.createIndex({ userId: 1, registeredAt: -1 }),
+    pointsLedgerCollection.createIndex({ userId: 1, createdAt: -1, _id: -1 }),
+    pointsLedgerCollection.createIndex({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } }),
+    pointsLedgerCollection.createIndex({ createdAt: 1, userId: 1, points: 1 }),
+    usersCollection.createIndex({ ecoPoints: -1, email: 1 }),
+    userChallengesCollection.createIndex({ challengeId: 1, progress: -1, userId: 1 }),
+    badgeDefinitionsCollection.createIndex({ key: 1 }, { unique: true }),
+    userBadgesCollection.createIndex({ userId: 1, badgeKey: 1 }, { unique: true }),
+    tipVotesCollection.createIndex({ tipId: 1, userId: 1 }, { unique: true }),
+    tipVotesCollection.createIndex({ userId: 1, tipId: 1 }),
+    tipsCollection.createIndex({ score: -1, _id: -1 }),
+    tipsCollection.createIndex({ createdAt: -1, _id: -1 }),
+    eventsCollection.createIndex({ date: 1, _id: 1 }),
+    usersCollection.createIndex({ role: 1, email: 1 }),
+    usersCollection.createIndex({ calendarTokenHash: 1 }, { sparse: true }),
+    imagesCollection.createIndex({ uploadedBy: 1, createdAt: -1 }),
+    imagesCollection.createIndex({ createdAt: 1 }),
+    challengesCollection.createIndex({ imageId: 1 }, { sparse: true }),
+    eventsCollection.createIndex({ imageId: 1 }, { sparse: true }),
+    usersCollection.createIndex({ photoImageId: 1 }, { sparse: true }),
+    teamsCollection.createIndex({ nameKey: 1 }, { unique: true }),
+    teamsCollection.createIndex({ members: 1 }),
+    teamsCollection.createIndex({ name: 1, _id: 1 }),
+    teamInvitesCollection.createIndex({ teamId: 1, email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } }),
+    teamInvitesCollection.createIndex({ email: 1, status: 1, createdAt: -1 }),
+    teamChallengesCollection.createIndex({ teamId: 1, challengeId: 1 }, { unique: true }),
+    teamChallengesCollection.createIndex({ challengeId: 1 }),
+    userChallengesCollection.createIndex({ teamId: 1, challengeId: 1 }, { sparse: true }),
+    followsCollection.createIndex({ follower: 1, followee: 1 }, { unique: true }),
+    followsCollection.createIndex({ follower: 1, createdAt: -1, _id: -1 }),
+    followsCollection.createIndex({ followee: 1, createdAt: -1, _id: -1 }),
+    activitiesCollection.createIndex({ actor: 1, createdAt: -1, _id: -1 }),
+    activitiesCollection.createIndex({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } }),
+    auditLogCollection.createIndex({ collection: 1, docId: 1, revision: -1 }, { unique: true }),
+    auditLogCollection.createIndex({ collection: 1, owner: 1, at: -1, _id: -1 }),
+    challengesCollection.createIndex({ deletedAt: 1 }, { sparse: true }),
+    challengesCollection.createIndex({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $exists: true } } }),
+    tipsCollection.createIndex({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $exists: true } } }),
+    eventsCollection.createIndex({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $exists: true } } }),
+    tipsCollection.createIndex({ deletedAt: 1 }, { sparse: true }),
+    notificationsCollection.createIndex({ userId: 1, createdAt: -1, _id: -1 }),
+    notificationsCollection.createIndex({ userId: 1, read: 1 }),
+    notificationsCollection.createIndex({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }),
+    jobRunsCollection.createIndex({ job: 1, startedAt: -1 }),
+    challengesCollection.createIndex({ status: 1, endDate: 1 }),
+    commentsCollection.createIndex({ targetType: 1, targetId: 1, rootId: 1, createdAt: 1 }),
+    commentsCollection.createIndex({ rootId: 1, createdAt: 1 }),
+    challengesCollection.createIndex(
+      { title: 'text', description: 'text', category: 'text' },
+      { name: 'challenges_text', weights: { title: 5, category: 2, description: 1 } }
+    ),
+    tipsCollection.createIndex(
+      { title: 'text', content: 'text', category: 'text' },
+      { name: 'tips_text', weights: { title: 5, category: 2, content: 1 } }
+    ),
+    eventsCollection.createIndex(
+      { title: 'text', description: 'text', location: 'text', organizer: 'text' },
+      { name: 'events_text', weights: { title: 5, location: 2, organizer: 2, description: 1 } }
+    ),
+  ]).catch(err => console.error('createIndex error:', err));
+
+  // One participation per user and challenge; join/leave rely on it. Creating it fails
+  // while duplicate rows exist, so it's tracked on its own: the reconcile report shows
+  // the failure and reconcile's fix mode removes the duplicates and creates it.
+  let participationIndexError = null;
+  async function ensureParticipationIndex() {
+    try {
+      await userChallengesCollection.createIndex({ userId: 1, challengeId: 1 }, { unique: true });
+      participationIndexError = null;
+    } catch (err) {
+      participationIndexError = err.message;
+      console.error('userChallenges unique index error (run POST /api/admin/reconcile/participants):', err);
+    }
+    return !participationIndexError;
+  }
+
+  // Convert legacy string challengeIds to ObjectId. The unique index sees a string and an
+  // ObjectId as different keys, so a row that would collide with the user's ObjectId row
+  // is a duplicate: it's skipped here and counted, and reconcile's fix mode removes it.
+  async function migrateParticipationChallengeIds() {
+    let converted = 0;
+    let conflicts = 0;
+    const legacy = userChallengesCollection.find({ challengeId: { $type: 'string', $regex: /^[0-9a-f]{24}$/i } }, { projection: { challengeId: 1 } });
+    for await (const uc of legacy) {
+      try {
+        const result = await userChallengesCollection.updateOne({ _id: uc._id, challengeId: uc.challengeId }, { $set: { challengeId: new ObjectId(uc.challengeId) } });
+        converted += result.modifiedCount;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        conflicts++;
+      }
+    }
+    return { converted, conflicts };
+  }
+
+  await migrateParticipationChallengeIds()
+    .then(({ converted, conflicts }) => {
+      if (converted || conflicts) console.log(`userChallenges challengeId migration: ${converted} converted, ${conflicts} duplicates left for reconcile`);
+    })
+    .catch(err => console.error('userChallenges challengeId migration error:', err));
+  await ensureParticipationIndex();
+
+  // tips from before per-user voting only have `upvotes`; give them a score
+  await tipsCollection.updateMany(
+    { score: { $exists: false } },
+    [{ $set: { downvotes: { $ifNull: ['$downvotes', 0] }, score: { $subtract: [{ $ifNull: ['$upvotes', 0] }, { $ifNull: ['$downvotes', 0] }] } } }]
+  ).catch(err => console.error('Tip score backfill error:', err));
+
+  // seed the built-in badges; admin edits to them are kept
+  await Promise.all(DEFAULT_BADGES.map(b => badgeDefinitionsCollection.updateOne(
+    { key: b.key },
+    { $setOnInsert: { ...b, active: true, createdAt: new Date() } },
+    { upsert: true }
+  ))).catch(err => console.error('Badge seed error:', err));
+
+  /* -------------------------
+     ECOPOINTS LEDGER
+  ------------------------- */
+
+  // users.ecoPoints is a running total of the ledger, moved only alongside an entry
+  // (or by reconcilePoints)
+
+  // Append a ledger entry and add it to the user's total in one transaction.
+  // `points` defaults to POINTS_RULES[reason]; `key` makes one-off awards
+  // idempotent (a repeat is silently ignored).
+  async function awardPoints(userId, reason, ref, { key, points } = {}) {
+    const amount = points !== undefined ? Number(points) : POINTS_RULES[reason];
+    if (!userId || !amount) return null;
+
+    const entry = { userId, reason, points: amount, ref: ref || null, createdAt: new Date() };
+    if (key) entry.key = key;
+    try {
+      await inTransaction(async (session) => {
+        await pointsLedgerCollection.insertOne(entry, { session });
+        await usersCollection.updateOne({ email: userId }, { $inc: { ecoPoints: amount } }, { session });
+      });
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+    return entry;
+  }
+
+  // points are a side effect: log failures instead of failing the request
+  function awardPointsSafely(...args) {
+    return awardPoints(...args).catch(err => console.error('awardPoints error:', err));
+  }
+
+  /* -------------------------
+     NOTIFICATION HELPERS
+  ------------------------- */
+
+  // Notify each user who hasn't opted out of `type`. `dedupeKey(userId)` makes
+  // a notification one-off (e.g. one "ends soon" per participation). `actor` is the
+  // user whose action it reports; their display name fills NOTIFICATION_ACTOR_BODIES.
+  async function notifyMany(userIds, type, { title, body = '', ref = null, dedupeKey, actor } = {}) {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+    if (!recipients.length) return 0;
+
+    let actorName = null;
+    if (actor) {
+      const user = await usersCollection.findOne({ email: actor }, { projection: { name: 1 } });
+      actorName = (user && user.name) || 'Someone';
+      if (NOTIFICATION_ACTOR_BODIES[type]) body = NOTIFICATION_ACTOR_BODIES[type](actorName);
+    }
+
+    const optedOut = await usersCollection
+      .find({ email: { $in: recipients }, [`notificationPrefs.${type}`]: false }, { projection: { email: 1 } })
+      .toArray();
+    const skip = new Set(optedOut.map(u => u.email));
+
+    const now = new Date();
+    const docs = recipients.filter(u => !skip.has(u)).map(userId => {
+      const doc = { userId, type, title, body, ref, read: false, createdAt: now };
+      if (actor) Object.assign(doc, { actor, actorName });
+      if (dedupeKey) doc.dedupeKey = dedupeKey(userId);
+      return doc;
+    });
+    if (!docs.length) return 0;
+
+    try {
+      const result = await notificationsCollection.insertMany(docs, { ordered: false });
+      return result.insertedCount;
+    } catch (err) {
+      // duplicates of already-sent one-off notifications are expected
+      if (err.code === 11000 || (err.writeErrors && [].concat(err.writeErrors).every(e => e.code === 11000))) {
+        return err.result ? err.result.insertedCount : 0;
+      }
+      throw err;
+    }
+  }
+
+  function notify(userId, type, payload) {
+    return notifyMany([userId], type, payload);
+  }
+
+  function notifySafely(...args) {
+    return notify(...args).catch(err => console.error('notify error:', err));
+  }
+
+  // time-based notifications; safe to run repeatedly thanks to dedupe keys
+  async function runNotificationTriggers(now = new Date()) {
+    let challengeEnding = 0;
+    let eventUpcoming = 0;
+
+    const ending = await challengesCollection
+      .find({ endDate: { $gt: now, $lte: new Date(now.getTime() + CHALLENGE_ENDING_LOOKAHEAD_MS) }, ...NOT_DELETED }, { projection: { title: 1, endDate: 1 } })
+      .toArray();
+    for (const ch of ending) {
+      const ucs = await userChallengesCollection.find({ challengeId: challengeIdMatch(ch._id), ...ACTIVE_PARTICIPATION }, { projection: { userId: 1 } }).toArray();
+      challengeEnding += await notifyMany(ucs.map(uc => uc.userId), 'challenge_ending', {
+        title: `"${ch.title}" ends soon`,
+        body: `The challenge ends on ${new Date(ch.endDate).toUTCString()}.`,
+        ref: { type: 'challenge', id: ch._id },
+        dedupeKey: userId => `challenge_ending:${ch._id}:${userId}`,
+      });
+    }
+
+    const upcoming = await eventsCollection
+      .find({ date: { $gt: now, $lte: new Date(now.getTime() + EVENT_UPCOMING_LOOKAHEAD_MS) } }, { projection: { title: 1, date: 1, location: 1 } })
+      .toArray();
+    for (const ev of upcoming) {
+      const regs = await eventRegistrationsCollection.find({ eventId: ev._id, status: 'Registered' }, { projection: { userId: 1 } }).toArray();
+      eventUpcoming += await notifyMany(regs.map(r => r.userId), 'event_upcoming', {
+        title: `"${ev.title}" is coming up`,
+        body: `${new Date(ev.date).toUTCString()}${ev.location ? ` at ${ev.location}` : ''}.`,
+        ref: { type: 'event', id: ev._id },
+        dedupeKey: userId => `event_upcoming:${ev._id}:${userId}`,
+      });
+    }
+
+    return { challengeEnding, eventUpcoming };
+  }
+
+  /* -------------------------
+     ACTIVITY HELPERS
+  ------------------------- */
+
+  // Record a shareable action. Nothing is stored for types the actor doesn't share;
+  // `key` keeps one-off actions (a finish, a badge) from being recorded twice.
+  async function recordActivity(actor, type, { ref = null, title = '', key } = {}) {
+    const user = await usersCollection.findOne({ email: actor }, { projection: { activitySharing: 1 } });
+    if (user && user.activitySharing && user.activitySharing[type] === false) return null;
+
+    const doc = { actor, type, ref, title, createdAt: new Date() };
+    if (key) doc.key = key;
+    try {
+      await activitiesCollection.insertOne(doc);
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+    return doc;
+  }
+
+  // activity is a side effect: log failures instead of failing the request
+  function recordActivitySafely(...args) {
+    return recordActivity(...args).catch(err => console.error('recordActivity error:', err));
+  }
+
+  // Filter for what `actors` currently share, so turning a type off also hides past entries.
+  async function sharedActivityQuery(actors) {
+    const restricted = await usersCollection
+      .find({ email: { $in: actors }, activitySharing: { $exists: true } }, { projection: { email: 1, activitySharing: 1 } })
+      .toArray();
+    const hidden = new Map();
+    for (const u of restricted) {
+      const types = Object.keys(u.activitySharing).filter(t => u.activitySharing[t] === false);
+      if (types.length) hidden.set(u.email, types);
+    }
+    return {
+      $or: [
+        { actor: { $in: actors.filter(a => !hidden.has(a)) } },
+        ...[...hidden].map(([actor, types]) => ({ actor, type: { $nin: types } })),
+      ],
+    };
+  }
+
+  /* -------------------------
+     BADGES ENGINE
+  ------------------------- */
+
+  async function computeBadgeMetric(userId, metric, params = {}) {
+    switch (metric) {
+      case 'challengesJoined':
+        return userChallengesCollection.countDocuments({ userId });
+      case 'challengesFinished':
+        return userChallengesCollection.countDocuments({ userId, status: 'Finished' });
+      case 'longestLoggingStreak': {
+        const ucs = await userChallengesCollection.find({ userId }, { projection: { 'progressLogs.date': 1, 'progressLogs.day': 1 } }).toArray();
+        return longestDailyStreak(ucs.flatMap(uc => (uc.progressLogs || []).map(l => l.day || l.date)));
+      }
+      case 'tipsPosted':
+        return tipsCollection.countDocuments({ author: userId, ...NOT_DELETED });
+      case 'tipsWithUpvotes':
+        return tipsCollection.countDocuments({ author: userId, ...NOT_DELETED, upvotes: { $gte: Number(params.minUpvotes) || 1 } });
+      case 'eventsAttended':
+        return eventRegistrationsCollection.countDocuments({ userId, attendedAt: { $exists: true } });
+      case 'ecoPoints': {
+        const user = await usersCollection.findOne({ email: userId }, { projection: { ecoPoints: 1 } });
+        return (user && user.ecoPoints) || 0;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  // metric values are memoised per evaluation run
+  async function badgeCriteriaMet(userId, criteria, memo) {
+    if (Array.isArray(criteria.all)) {
+      for (const c of criteria.all) {
+        if (!(await badgeCriteriaMet(userId, c, memo))) return false;
+      }
+      return true;
+    }
+    const memoKey = `${criteria.metric}:${JSON.stringify(criteria.params || {})}`;
+    if (!(memoKey in memo)) memo[memoKey] = await computeBadgeMetric(userId, criteria.metric, criteria.params);
+    return memo[memoKey] >= criteria.gte;
+  }
+
+  // Award every active badge the user now qualifies for. Idempotent: the
+  // unique (userId, badgeKey) index drops repeats. Returns the new awards.
+  async function evaluateBadges(userId) {
+    if (!userId) return [];
+    const [definitions, owned] = await Promise.all([
+      badgeDefinitionsCollection.find({ active: true }).toArray(),
+      userBadgesCollection.find({ userId }, { projection: { badgeKey: 1 } }).toArray(),
+    ]);
+    const ownedKeys = new Set(owned.map(b => b.badgeKey));
+    const memo = {};
+    const awarded = [];
+
+    for (const def of definitions) {
+      if (ownedKeys.has(def.key) || validateBadgeCriteria(def.criteria)) continue;
+      if (!(await badgeCriteriaMet(userId, def.criteria, memo))) continue;
+
+      const badge = { userId, badgeKey: def.key, name: def.name, description: def.description || '', awardedAt: new Date() };
+      try {
+        await userBadgesCollection.insertOne(badge);
+        awarded.push(badge);
+        await notifySafely(userId, 'badge_awarded', { title: `You earned "${def.name}"`, body: badge.description, ref: { type: 'badge', id: def.key } });
+        await recordActivitySafely(userId, 'badge_awarded', { ref: { type: 'badge', id: def.key }, title: def.name, key: `badge_awarded:${userId}:${def.key}` });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+    return awarded;
+  }
+
+  function evaluateBadgesSafely(userId) {
+    return evaluateBadges(userId).catch(err => console.error('evaluateBadges error:', err));
+  }
+
+  /* -------------------------
+     IMAGES
+  ------------------------- */
+
+  function putImageFile(filename, buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = imageBucket.openUploadStream(filename, { metadata: { contentType } });
+      upload.on('error', reject).on('finish', () => resolve(upload.id));
+      upload.end(buffer);
+    });
+  }
+
+  async function deleteImage(image) {
+    for (const fileId of Object.values(image.files || {})) {
+      await imageBucket.delete(fileId).catch(err => {
+        if (!/not found/i.test(err.message)) throw err;
+      });
+    }
+    await imagesCollection.deleteOne({ _id: image._id });
+  }
+
+  function imageView(image, origin) {
+    const url = `${origin}/api/images/${image._id}`;
+    const urls = { original: url };
+    for (const name of Object.keys(IMAGE_VARIANTS)) urls[name] = `${url}?size=${name}`;
+    const { _id, contentType, width, height, size, uploadedBy, createdAt } = image;
+    return { _id, contentType, width, height, size, uploadedBy, createdAt, url, urls };
+  }
+
+  // ids (of `ids`) still referenced by a challenge, event or profile
+  async function referencedImageIds(ids) {
+    const found = await Promise.all(IMAGE_REFS.map(([name, field]) => db.collection(name).distinct(field, { [field]: { $in: ids } })));
+    return new Set(found.flat().map(String));
+  }
+
+  // Turn body[idField] into a stored image reference: it must exist and be the
+  // caller's upload (moderators may use any). `urlField` points at it unless set
+  // explicitly. Returns field errors.
+  async function resolveImageRef(req, body, idField, urlField, existing = {}) {
+    // absent leaves the reference alone; null (cleared) removes it, along with the URL
+    // derived from it (a URL set by hand stays)
+    if (body[idField] === undefined) return [];
+    if (body[idField] === null) {
+      const url = existing[urlField];
+      if (body[urlField] === undefined && existing[idField] && typeof url === 'string' && url.endsWith(`/api/images/${existing[idField]}`)) {
+        body[urlField] = null;
+      }
+      return [];
+    }
+    const image = isObjectIdHex(body[idField])
+      ? await imagesCollection.findOne({ _id: new ObjectId(body[idField]) }, { projection: { uploadedBy: 1 } })
+      : null;
+    if (!image) return [{ field: idField, message: 'Image not found' }];
+    if (image.uploadedBy !== req.user.email && !hasRole(req.user, 'moderator')) {
+      return [{ field: idField, message: 'You can only use images you uploaded' }];
+    }
+    body[idField] = image._id;
+    if (body[urlField] === undefined) body[urlField] = `${requestOrigin(req)}/api/images/${image._id}`;
+    return [];
+  }
+
+  // upload an image (multipart field "image"); reference it by _id from a challenge, event or profile
+  app.post('/api/images', requireAuth, receiveImage, async (req, res) => {
+    try {
+      const processed = await processImage(req.file.buffer);
+      if (processed.error) return sendValidationErrors(res, [{ field: 'image', message: processed.error }]);
+
+      const _id = new ObjectId();
+      const files = {};
+      try {
+        files.original = await putImageFile(`${_id}.${processed.format}`, processed.original.data, processed.contentType);
+        for (const [name, variant] of Object.entries(processed.variants)) {
+          files[name] = await putImageFile(`${_id}-${name}.webp`, variant.data, 'image/webp');
+        }
+      } catch (err) {
+        await deleteImage({ _id, files }).catch(() => {});
+        throw err;
+      }
+
+      const image = {
+        _id,
+        uploadedBy: req.user.email,
+        contentType: processed.contentType,
+        width: processed.original.info.width,
+        height: processed.original.info.height,
+        size: processed.original.data.length,
+        files,
+        createdAt: new Date(),
+      };
+      await imagesCollection.insertOne(image);
+      res.status(201).json({ success: true, image: imageView(image, requestOrigin(req)) });
+    } catch (err) {
+      console.error('POST /api/images error:', err);
+      res.status(500).json({ message: 'Failed to upload image', error: err.message });
+    }
+  });
+
+  // serve an image: ?size=original|thumb|medium. Stored bytes never change, so they cache forever.
+  app.get('/api/images/:id', async (req, res) => {
+    try {
+      const size = req.query.size || 'original';
+      if (size !== 'original' && !IMAGE_VARIANTS[size]) {
+        return sendValidationErrors(res, [{ field: 'size', message: `size must be one of original, ${Object.keys(IMAGE_VARIANTS).join(', ')}` }]);
+      }
+      const image = isObjectIdHex(req.params.id) ? await imagesCollection.findOne({ _id: new ObjectId(req.params.id) }) : null;
+      if (!image || !image.files[size]) return res.status(404).json({ message: 'Image not found' });
+
+      const etag = `"${image.files[size]}"`;
+      res.set({
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        ETag: etag,
+        'X-Content-Type-Options': 'nosniff',
+      });
+      if (req.get('if-none-match') === etag) return res.status(304).end();
+
+      res.type(size === 'original' ? image.contentType : 'image/webp');
+      imageBucket.openDownloadStream(image.files[size])
+        .on('error', (err) => {
+          console.error('GET /api/images/:id stream error:', err);
+          if (!res.headersSent) res.status(404).json({ message: 'Image not found' });
+          else res.destroy(err);
+        })
+        .pipe(res);
+    } catch (err) {
+      console.error('GET /api/images/:id error:', err);
+      res.status(500).json({ message: 'Failed to fetch image', error: err.message });
+    }
+  });
+
+  app.get('/api/images/:id/info', async (req, res) => {
+    try {
+      const image = isObjectIdHex(req.params.id) ? await imagesCollection.findOne({ _id: new ObjectId(req.params.id) }) : null;
+      if (!image) return res.status(404).json({ message: 'Image not found' });
+      res.json(imageView(image, requestOrigin(req)));
+    } catch (err) {
+      console.error('GET /api/images/:id/info error:', err);
+      res.status(500).json({ message: 'Failed to fetch image', error: err.message });
+    }
+  });
+
+  // delete an unused upload (uploader or moderator)
+  app.delete('/api/images/:id', requireAuth, async (req, res) => {
+    try {
+      const image = isObjectIdHex(req.params.id) ? await imagesCollection.findOne({ _id: new ObjectId(req.params.id) }) : null;
+      if (!image) return res.status(404).json({ message: 'Image not found' });
+      if (image.uploadedBy !== req.user.email && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only the uploader can delete this image' });
+      }
+      if ((await referencedImageIds([image._id])).size) {
+        return res.status(409).json({ message: 'Image is still in use' });
+      }
+      await deleteImage(image);
+      res.json({ success: true, deletedCount: 1 });
+    } catch (err) {
+      console.error('DELETE /api/images/:id error:', err);
+      res.status(500).json({ message: 'Failed to delete image', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     CHALLENGES
+  ------------------------- */
+
+  // GET list with filters, pagination, sort.
+  // ?page=N keeps the offset paging (with total/pages); ?cursor / ?before page by keyset without counting.
+  // keyset cursors carry the sort key, so only these fields are sortable
+  const CHALLENGE_SORT_FIELDS = ['createdAt', 'startDate', 'endDate', 'participants', 'duration', 'title'];
+
+  app.get('/api/challenges', async (req, res) => {
+    try {
+      const {
+        category,
+        startDate_gte,
+        endDate_lte,
+        participants_gte,
+        participants_lte,
+        search,
+        page = 1,
+        limit = 12,
+        sort = search ? 'relevance' : '-createdAt',
+        status, // optional: 'ongoing'
+      } = req.query;
+      if (sort !== 'relevance' && !CHALLENGE_SORT_FIELDS.includes(String(sort).replace(/^-/, ''))) {
+        return sendValidationErrors(res, [{ field: 'sort', message: `sort must be relevance or one of ${CHALLENGE_SORT_FIELDS.join(', ')} (prefix - for descending)` }]);
+      }
+
+      const q = {};
+
+      if (category) q.category = { $in: String(category).split(',').map(s => s.trim()) };
+      if (startDate_gte) q.startDate = { ...(q.startDate || {}), $gte: new Date(startDate_gte) };
+      if (endDate_lte) q.endDate = { ...(q.endDate || {}), $lte: new Date(endDate_lte) };
+      if (participants_gte || participants_lte) {
+        q.participants = {};
+        if (participants_gte) q.participants.$gte = Number(participants_gte);
+        if (participants_lte) q.participants.$lte = Number(participants_lte);
+      }
+      if (search) q.$text = { $search: String(search).slice(0, SEARCH_MAX_QUERY) };
+
+      if (status === 'ongoing') {
+        const now = new Date();
+        q.startDate = { ...(q.startDate || {}), $lte: now };
+        q.endDate = { ...(q.endDate || {}), $gte: now };
+      }
+      // archived (ended and closed by the lifecycle job) challenges only show when asked for
+      q.status = status === 'archived' ? 'archived' : { $ne: 'archived' };
+      q.deletedAt = { $exists: false };
+
+      const sortObj = {};
+      const findOpts = {};
+      const byRelevance = sort === 'relevance' && !!search;
+      if (byRelevance) {
+        findOpts.projection = { score: { $meta: 'textScore' } };
+        sortObj.score = { $meta: 'textScore' };
+      } else if (sort && sort !== 'relevance') {
+        if (sort.startsWith('-')) sortObj[sort.slice(1)] = -1;
+        else sortObj[sort] = 1;
+      } else sortObj.createdAt = -1;
+      const [sortField, sortDir] = Object.entries(sortObj)[0];
+      const withCounts = list => list.map(c => ({ ...c, commentCount: c.commentCount || 0 }));
+
+      if (req.query.cursor || req.query.before) {
+        const paging = readCursorParams(req.query, { defaultLimit: 12, field: byRelevance ? null : sortField });
+        if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+        if (byRelevance) {
+          const offset = paging.cursor.o;
+          const docs = await challengesCollection.find(q, findOpts).sort(sortObj).skip(offset).limit(paging.limit + 1).toArray();
+          return res.json({ items: withCounts(docs.slice(0, paging.limit)), ...offsetCursors(offset, paging.limit, docs.length > paging.limit) });
+        }
+        const result = await keysetPage(challengesCollection, q, { field: sortField, dir: sortDir }, paging);
+        return res.json({ ...result, items: withCounts(result.items) });
+      }
+
+      const pageSize = Math.min(100, Math.max(1, Number(limit) || 12));
+      const skip = (Math.max(1, Number(page) || 1) - 1) * pageSize;
+      const docs = await challengesCollection.find(q, findOpts).sort(byRelevance ? sortObj : { ...sortObj, _id: sortDir }).skip(skip).limit(pageSize + 1).toArray();
+      const items = docs.slice(0, pageSize);
+      const hasMore = docs.length > pageSize;
+      // counting is a second full query, so totals are opt-in
+      const total = req.query.withTotal === 'true' ? await challengesCollection.countDocuments(q) : undefined;
+
+      // cursors let clients switch to keyset paging from any page
+      const cursors = byRelevance
+        ? offsetCursors(skip, pageSize, hasMore)
+        : {
+          next: hasMore && items.length ? keysetCursor(items[items.length - 1], sortField) : null,
+          prev: skip > 0 && items.length ? keysetCursor(items[0], sortField) : null,
+        };
+
+      res.json({
+        items: withCounts(items),
+        page: skip / pageSize + 1,
+        hasMore,
+        ...(total !== undefined ? { total, pages: Math.ceil(total / pageSize) } : {}),
+        ...cursors,
+      });
+    } catch (err) {
+      console.error('GET /api/challenges error:', err);
+      res.status(500).json({ message: 'Failed to get challenges', error: err.message });
+    }
+  });
+
+  // Robust GET by id — supports ObjectId and string _id fallback
+  app.get('/api/challenges/:id', async (req, res) => {
+    const rawId = req.params.id;
+    try {
+      let query = null;
+
+      if (ObjectId.isValid(rawId) && String(new ObjectId(rawId)) === rawId) {
+        query = { _id: new ObjectId(rawId) };
+      } else {
+        query = {
+          $or: [
+            { _id: rawId },
+            { id: rawId },
+            { 'meta.id': rawId },
+          ]
+        };
+      }
+
+      const doc = await challengesCollection.findOne({ ...query, ...NOT_DELETED });
+      if (!doc) return res.status(404).json({ message: 'Challenge not found' });
+      res.json(doc);
+    } catch (err) {
+      console.error('GET /api/challenges/:id error:', err);
+      res.status(500).json({ message: 'Failed to get challenge', error: err.message });
+    }
+  });
+
+  // Create challenge (protected)
+  app.post('/api/challenges', requireAuth, validateBody(SCHEMAS.challenge), async (req, res) => {
+    try {
+      const body = req.body;
+      const dateErrors = challengeDateErrors(body);
+      dateErrors.push(...challengeImageErrors(body));
+      dateErrors.push(...(await resolveImageRef(req, body, 'imageId', 'imageUrl')));
+      if (dateErrors.length) return sendValidationErrors(res, dateErrors);
+
+      const newChallenge = {
+        ...body,
+        participants: 0,
+        commentCount: 0,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await challengesCollection.insertOne(newChallenge);
+      await recordAuditSafely('challenges', null, { _id: result.insertedId, ...newChallenge }, req.user.email);
+      res.status(201).json({ success: true, challengeId: result.insertedId, challenge: { _id: result.insertedId, ...newChallenge } });
+    } catch (err) {
+      console.error('POST /api/challenges error:', err);
+      res.status(500).json({ message: 'Failed to create challenge', error: err.message });
+    }
+  });
+
+  // Update challenge (protected, owner only)
+  app.patch('/api/challenges/:id', requireAuth, validateBody(SCHEMAS.challenge, { partial: true }), async (req, res) => {
+    try {
+      const id = req.params.id;
+      let filter;
+      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) filter = { _id: new ObjectId(id) };
+      else filter = { _id: id };
+
+      const existing = await challengesCollection.findOne({ ...filter, ...NOT_DELETED });
+      if (!existing) return res.status(404).json({ message: 'Challenge not found' });
+      if (existing.createdBy !== req.user.email) return res.status(403).json({ message: 'Forbidden: only owner can update' });
+
+      const dateErrors = await resolveImageRef(req, req.body, 'imageId', 'imageUrl', existing);
+      dateErrors.push(...challengeDateErrors(req.body, existing), ...challengeImageErrors(req.body, existing));
+      if (dateErrors.length) return sendValidationErrors(res, dateErrors);
+
+      const updatedData = { ...req.body, updatedAt: new Date() };
+
+      const result = await challengesCollection.updateOne(filter, { $set: updatedData });
+      if (result.modifiedCount) {
+        await recordAuditSafely('challenges', existing, { ...existing, ...updatedData }, req.user.email);
+        const ucs = await userChallengesCollection.find({ challengeId: challengeIdMatch(existing._id) }, { projection: { userId: 1 } }).toArray();
+        await notifyMany(ucs.map(uc => uc.userId).filter(u => u !== req.user.email), 'challenge_updated', {
+          title: `"${updatedData.title || existing.title}" was updated`,
+          body: `Changed: ${Object.keys(req.body).join(', ') || 'details'}.`,
+          ref: { type: 'challenge', id: existing._id },
+        }).catch(err => console.error('notify error:', err));
+      }
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    } catch (err) {
+      console.error('PATCH /api/challenges/:id error:', err);
+      res.status(500).json({ message: 'Error updating challenge', error: err.message });
+    }
+  });
+
+  // Delete challenge (protected, owner only); soft delete, see POST /api/challenges/:id/restore
+  app.delete('/api/challenges/:id', requireAuth, async (req, res) => {
+    try {
+      const id = req.params.id;
+      let filter;
+      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) filter = { _id: new ObjectId(id) };
+      else filter = { _id: id };
+
+      const existing = await challengesCollection.findOne({ ...filter, ...NOT_DELETED });
+      if (!existing) return res.status(404).json({ message: 'Challenge not found' });
+      if (existing.createdBy !== req.user.email) return res.status(403).json({ message: 'Forbidden: only owner can delete' });
+
+      const deleted = await softDeleteChallenge(existing, req.user.email);
+      res.json({ success: true, deletedCount: deleted ? 1 : 0, restoreUntil: restoreDeadline({ deletedAt: new Date() }) });
+    } catch (err) {
+      console.error('DELETE /api/challenges/:id error:', err);
+      res.status(500).json({ message: 'Failed to delete challenge', error: err.message });
+    }
+  });
+
+  // Join challenge (protected)
+  function challengeHasEnded(challenge) {
+    return challenge.status === 'archived' || (challenge.endDate && new Date(challenge.endDate) < new Date());
+  }
+
+  // Enrol a user in a challenge; returns { userChallenge, created }. The insert and the
+  // participants counter change together in a transaction, and the unique (userId,
+  // challengeId) index turns a concurrent second join into "already joined". With
+  // `teamId` the participation counts towards that team, including one the user already had.
+  async function enrollInChallenge(userId, challenge, { teamId } = {}) {
+    const existing = async () => {
+      const exists = await userChallengesCollection.findOne({ userId, challengeId: challengeIdMatch(challenge._id) });
+      if (exists && teamId && !exists.teamId) {
+        await userChallengesCollection.updateOne({ _id: exists._id }, { $set: { teamId } });
+        exists.teamId = teamId;
+      }
+      return { userChallenge: exists, created: false };
+    };
+
+    const found = await existing();
+    if (found.userChallenge) return found;
+
+    const uc = {
+      _id: new ObjectId(),
+      userId,
+      challengeId: challenge._id,
+      status: 'Ongoing',
+      progress: 0,
+      progressLogs: [],
+      joinDate: new Date(),
+      lastUpdated: new Date(),
+    };
+    if (teamId) uc.teamId = teamId;
+
+    try {
+      await inTransaction(async (session) => {
+        await userChallengesCollection.insertOne(uc, { session });
+        await challengesCollection.updateOne({ _id: challenge._id }, { $inc: { participants: 1 } }, { session });
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return existing();
+    }
+
+    await evaluateBadgesSafely(userId);
+    await recordActivitySafely(userId, 'challenge_joined', {
+      ref: { type: 'challenge', id: challenge._id },
+      title: challenge.title,
+      key: `challenge_joined:${uc._id}`,
+    });
+    return { userChallenge: uc, created: true };
+  }
+
+  // Remove a participation and release its place in one transaction; false if it was already gone.
+  // The challenge is resolved from the stored id, which older rows keep as a string.
+  async function leaveChallenge(uc) {
+    const challenge = await findChallengeFor(uc);
+    return inTransaction(async (session) => {
+      const result = await userChallengesCollection.deleteOne({ _id: uc._id }, { session });
+      if (!result.deletedCount) return false;
+      if (challenge) {
+        await challengesCollection.updateOne({ _id: challenge._id, participants: { $gt: 0 } }, { $inc: { participants: -1 } }, { session });
+      }
+      return true;
+    });
+  }
+
+  app.post('/api/challenges/join/:id', requireAuth, async (req, res) => {
+    try {
+      const challengeId = req.params.id;
+      const userEmail = req.user.email;
+
+      let challengeFilter;
+      if (ObjectId.isValid(challengeId) && String(new ObjectId(challengeId)) === challengeId) challengeFilter = { _id: new ObjectId(challengeId) };
+      else challengeFilter = { _id: challengeId };
+
+      const challenge = await challengesCollection.findOne({ ...challengeFilter, ...NOT_DELETED });
+      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+      if (challengeHasEnded(challenge)) return res.status(400).json({ message: 'Challenge has ended' });
+
+      const { userChallenge, created } = await enrollInChallenge(userEmail, challenge);
+      if (!created) return res.status(200).json({ message: 'Already joined', userChallenge });
+
+      if (challenge.createdBy !== userEmail) {
+        await notifySafely(challenge.createdBy, 'challenge_joined', {
+          title: `Someone joined "${challenge.title}"`,
+          ref: { type: 'challenge', id: challenge._id },
+          actor: userEmail,
+        });
+      }
+
+      res.status(201).json({ success: true, userChallengeId: userChallenge._id, userChallenge });
+    } catch (err) {
+      console.error('POST /api/challenges/join/:id error:', err);
+      res.status(500).json({ message: 'Failed to join challenge', error: err.message });
+    }
+  });
+
+  // leave a challenge by its id (idempotent)
+  app.post('/api/challenges/leave/:id', requireAuth, async (req, res) => {
+    try {
+      const challenge = await challengesCollection.findOne(idQuery(req.params.id), { projection: { _id: 1 } });
+      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+
+      const uc = await userChallengesCollection.findOne({ userId: req.user.email, challengeId: challengeIdMatch(challenge._id) });
+      const left = uc ? await leaveChallenge(uc) : false;
+      res.json({ success: true, message: left ? 'Left challenge' : 'Not joined' });
+    } catch (err) {
+      console.error('POST /api/challenges/leave/:id error:', err);
+      res.status(500).json({ message: 'Failed to leave challenge', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     USER-CHALLENGES
+  ------------------------- */
+
+  // challengeId may be an ObjectId or a legacy string id
+  async function findChallengeFor(uc) {
+    return (uc.challengeId && ObjectId.isValid(String(uc.challengeId)))
+      ? await challengesCollection.findOne({ _id: new ObjectId(String(uc.challengeId)) })
+      : await challengesCollection.findOne({ _id: String(uc.challengeId) }) || null;
+  }
+
+  // Get logged-in user's challenges (protected)
+  app.get('/api/user-challenges/me', requireAuth, async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const ucs = await userChallengesCollection.find({ userId: userEmail }).toArray();
+      // the stored current streak goes stale once a day is missed, so recount it for today
+      const profileTimeZone = await userTimeZone(userEmail);
+
+      const populated = await Promise.all(ucs.map(async (stored) => {
+        const uc = await ensureLogIds(stored);
+        const ch = await findChallengeFor(uc);
+        const today = localDay(new Date(), uc.timezone || profileTimeZone);
+        const { current } = computeStreaks((uc.progressLogs || []).map(l => l.day || localDay(l.date, 'UTC')), today);
+        return { ...uc, currentStreak: current, challenge: ch, challengeDeleted: !!(ch && ch.deletedAt) };
+      }));
+
+      res.json(populated);
+    } catch (err) {
+      console.error('GET /api/user-challenges/me error:', err);
+      res.status(500).json({ message: 'Failed to fetch user challenges', error: err.message });
+    }
+  });
+
+  // Measurement fields for a log. Values are stored in the challenge's unit; `unit`
+  // lets clients log in a compatible one. Returns { fields } or { errors }.
+  function logMeasurement(challenge, value, unit) {
+    if (value === undefined) {
+      return unit ? { errors: [{ field: 'unit', message: 'unit requires a value' }] } : { fields: {} };
+    }
+    if (challenge && challenge.metric) {
+      const { type, unit: challengeUnit } = challenge.metric;
+      const inputUnit = unit || challengeUnit;
+      if (!(inputUnit in METRIC_TYPES[type].units)) {
+        return { errors: [{ field: 'unit', message: `unit must be one of ${Object.keys(METRIC_TYPES[type].units).join(', ')} for ${type}` }] };
+      }
+      const fields = {
+        value: convertUnits(value, inputUnit, challengeUnit, type),
+        unit: challengeUnit,
+        metricType: type,
+        baseValue: convertUnits(value, inputUnit, METRIC_TYPES[type].baseUnit, type),
+      };
+      if (inputUnit !== challengeUnit) fields.input = { value, unit: inputUnit };
+      return { fields };
+    }
+    if (unit) return { errors: [{ field: 'unit', message: 'This challenge has no metric, so unit is not accepted' }] };
+    return { fields: { value } };
+  }
+
+  // a new log entry for the local `day`; returns { log } or { errors }
+  function buildProgressLog(challenge, { value, unit, note, evidenceUrl }, day, timezone) {
+    const { fields, errors } = logMeasurement(challenge, value, unit);
+    if (errors) return { errors };
+    const log = { _id: new ObjectId(), date: new Date(), day, timezone, ...fields };
+    if (note) log.note = note;
+    if (evidenceUrl) log.evidenceUrl = evidenceUrl;
+    return { log };
+  }
+
+  // logs written before entries had ids get one the first time they're loaded
+  async function ensureLogIds(uc) {
+    const logs = uc.progressLogs || [];
+    if (logs.every(l => l._id)) return uc;
+    const withIds = logs.map(l => (l._id ? l : { _id: new ObjectId(), ...l }));
+    // matching the old array means a concurrent push simply makes this a no-op
+    const result = await userChallengesCollection.updateOne({ _id: uc._id, progressLogs: logs }, { $set: { progressLogs: withIds } });
+    return result.modifiedCount ? { ...uc, progressLogs: withIds } : uc;
+  }
+
+  // explicit timezone > profile timezone > UTC
+  async function userTimeZone(userId, override) {
+    if (override) return override;
+    const user = await usersCollection.findOne({ email: userId }, { projection: { timezone: 1 } });
+    return user && user.timezone && isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+  }
+
+  // A participation's days are counted in one timezone, fixed at its first log (the
+  // request's timezone, else the profile's). Letting each request choose would let one
+  // moment count as two different days.
+  async function participationTimeZone(uc, requested) {
+    if (uc.timezone) return uc.timezone;
+    const timeZone = await userTimeZone(uc.userId, requested);
+    const pinned = await userChallengesCollection.findOneAndUpdate(
+      { _id: uc._id, timezone: { $exists: false } },
+      { $set: { timezone: timeZone } },
+      { returnDocument: 'after', projection: { timezone: 1 } }
+    );
+    if (pinned) return pinned.timezone;
+    // a concurrent first log pinned it first
+    const current = await userChallengesCollection.findOne({ _id: uc._id }, { projection: { timezone: 1 } });
+    return (current && current.timezone) || timeZone;
+  }
+
+  // Progress, streaks and status are derived from the distinct logged days.
+  // Older logs without a `day` count on their UTC date.
+  async function recomputeUserChallenge(ucId, timeZone = 'UTC') {
+    const uc = await userChallengesCollection.findOne({ _id: ucId });
+    if (!uc) return null;
+    const challenge = await findChallengeFor(uc);
+
+    const days = (uc.progressLogs || []).map(l => l.day || localDay(l.date, 'UTC'));
+    const checkInDays = new Set(days).size;
+    const { current, longest } = computeStreaks(days, localDay(new Date(), timeZone));
+    const progress = challenge
+      ? Math.min(100, Math.round((checkInDays / challengeDurationDays(challenge)) * 100))
+      : uc.progress || 0;
+
+    const updates = { progress, checkInDays, currentStreak: current, longestStreak: longest, lastUpdated: new Date() };
+    if (days.length) updates.lastCheckIn = days.reduce((a, b) => (a > b ? a : b));
+    if (!uc.closedAt) updates.status = progress >= 100 ? 'Finished' : 'Ongoing';
+    await userChallengesCollection.updateOne({ _id: uc._id }, { $set: updates });
+
+    if (updates.status === 'Finished') {
+      await awardPointsSafely(uc.userId, 'challengeFinished', { type: 'userChallenge', id: uc._id }, { key: `challengeFinished:${uc._id}` });
+      await recordActivitySafely(uc.userId, 'challenge_finished', {
+        ref: { type: 'challenge', id: uc.challengeId },
+        title: challenge ? challenge.title : '',
+        key: `challenge_finished:${uc._id}`,
+      });
+    }
+    await evaluateBadgesSafely(uc.userId);
+    return { ...uc, ...updates };
+  }
+
+  // Logging points are earned once per participation per local day, however many
+  // entries that day has. Removing a day's last entry reverses them; the reversal count
+  // is part of the key, so logging that day again can earn them back once.
+  async function loggedDayKeys(uc, day) {
+    const reversals = await pointsLedgerCollection.countDocuments({ reason: 'progressLogRemoved', 'ref.id': uc._id, 'ref.day': day });
+    return { award: `progressLogged:${uc._id}:${day}:${reversals}`, reversal: `progressLogRemoved:${uc._id}:${day}:${reversals}` };
+  }
+
+  async function awardLoggedDay(uc, day) {
+    const { award } = await loggedDayKeys(uc, day);
+    return awardPointsSafely(uc.userId, 'progressLogged', { type: 'userChallenge', id: uc._id, day }, { key: award });
+  }
+
+  async function reverseLoggedDay(uc, day) {
+    const keys = await loggedDayKeys(uc, day);
+    const award = await pointsLedgerCollection.findOne({ key: keys.award });
+    if (!award) return null;
+    return awardPointsSafely(uc.userId, 'progressLogRemoved', award.ref, { key: keys.reversal, points: -award.points });
+  }
+
+  // the caller's own user-challenge, still open for logging; sends the error response otherwise
+  async function loadOpenUserChallenge(req, res) {
+    const uc = ObjectId.isValid(req.params.id)
+      ? await userChallengesCollection.findOne({ _id: new ObjectId(req.params.id) })
+      : null;
+    if (!uc) res.status(404).json({ message: 'UserChallenge not found' });
+    else if (uc.userId !== req.user.email) res.status(403).json({ message: 'Forbidden' });
+    else if (uc.closedAt) res.status(409).json({ message: 'This challenge has ended; progress can no longer change' });
+    else if (uc.archivedAt) res.status(409).json({ message: 'This challenge was removed; progress can no longer change' });
+    else return uc;
+    return null;
+  }
+
+  // daily check-in: one per local day, optionally with a measured value
+  app.post('/api/user-challenges/:id/check-in', requireAuth, validateBody(SCHEMAS.checkIn), async (req, res) => {
+    try {
+      const uc = await loadOpenUserChallenge(req, res);
+      if (!uc) return;
+
+      const timeZone = await participationTimeZone(uc, req.body.timezone);
+      const day = localDay(new Date(), timeZone);
+      const { log, errors } = buildProgressLog(await findChallengeFor(uc), req.body, day, timeZone);
+      if (errors) return sendValidationErrors(res, errors);
+      log.checkIn = true;
+
+      // the filter makes one-check-in-per-day atomic
+      const result = await userChallengesCollection.updateOne(
+        { _id: uc._id, progressLogs: { $not: { $elemMatch: { day, checkIn: true } } } },
+        { $push: { progressLogs: log } }
+      );
+      if (!result.modifiedCount) return res.status(409).json({ message: 'Already checked in today', day });
+
+      await awardLoggedDay(uc, day);
+      const updated = await recomputeUserChallenge(uc._id, timeZone);
+      res.status(201).json({ success: true, day, log, updated });
+    } catch (err) {
+      console.error('POST /api/user-challenges/:id/check-in error:', err);
+      res.status(500).json({ message: 'Failed to check in', error: err.message });
+    }
+  });
+
+  // log a measured value (any number per day); progress is recomputed from the logged days
+  app.patch('/api/user-challenges/:id/progress', requireAuth, validateBody(SCHEMAS.progress), async (req, res) => {
+    try {
+      const uc = await loadOpenUserChallenge(req, res);
+      if (!uc) return;
+
+      const { addLogValue, ...rest } = req.body;
+      const timeZone = await participationTimeZone(uc, req.body.timezone);
+      const { log, errors } = buildProgressLog(await findChallengeFor(uc), { ...rest, value: addLogValue }, localDay(new Date(), timeZone), timeZone);
+      if (errors) return sendValidationErrors(res, errors);
+
+      await userChallengesCollection.updateOne({ _id: uc._id }, { $push: { progressLogs: log } });
+      await awardLoggedDay(uc, log.day);
+
+      const updated = await recomputeUserChallenge(uc._id, timeZone);
+      res.json({ success: true, log, updated });
+    } catch (err) {
+      console.error('PATCH /api/user-challenges/:id/progress error:', err);
+      res.status(500).json({ message: 'Failed to update progress', error: err.message });
+    }
+  });
+
+  // find a log entry by id on the caller's open user-challenge; sends the error response otherwise
+  async function loadOwnLog(req, res) {
+    const found = await loadOpenUserChallenge(req, res);
+    if (!found) return {};
+    const uc = await ensureLogIds(found);
+    const log = (uc.progressLogs || []).find(l => String(l._id) === req.params.logId);
+    if (!log) res.status(404).json({ message: 'Log entry not found' });
+    return { uc, log };
+  }
+
+  // correct a log entry: value (re-converted), note, evidenceUrl
+  app.patch('/api/user-challenges/:id/logs/:logId', requireAuth, async (req, res) => {
+    try {
+      const { value: changes, errors } = validateSchema(SCHEMAS.progressLog, req.body, { partial: true });
+      // a log always keeps its measurement; only note and evidenceUrl can be cleared
+      ['value', 'unit'].filter(f => changes[f] === null).forEach(f => errors.push({ field: f, message: `${f} cannot be cleared` }));
+      if (errors.length) return sendValidationErrors(res, errors);
+      const cleared = ['note', 'evidenceUrl'].filter(f => changes[f] === null);
+      if (!Object.keys(changes).length) {
+        return sendValidationErrors(res, [{ field: 'value', message: 'Nothing to update' }]);
+      }
+
+      const { uc, log } = await loadOwnLog(req, res);
+      if (!log) return;
+
+      const next = { ...log, editedAt: new Date() };
+      if (changes.value !== undefined || changes.unit !== undefined) {
+        const { fields, errors: unitErrors } = logMeasurement(await findChallengeFor(uc), changes.value, changes.unit);
+        if (unitErrors) return sendValidationErrors(res, unitErrors);
+        LOG_MEASUREMENT_FIELDS.forEach(f => delete next[f]);
+        Object.assign(next, fields);
+      }
+      if (changes.note) next.note = changes.note;
+      if (changes.evidenceUrl) next.evidenceUrl = changes.evidenceUrl;
+      cleared.forEach(f => delete next[f]);
+
+      const result = await userChallengesCollection.updateOne(
+        { _id: uc._id, 'progressLogs._id': log._id },
+        { $set: { 'progressLogs.$': next } }
+      );
+      if (!result.matchedCount) return res.status(404).json({ message: 'Log entry not found' });
+
+      const updated = await recomputeUserChallenge(uc._id, uc.timezone || await userTimeZone(uc.userId));
+      res.json({ success: true, log: next, updated });
+    } catch (err) {
+      console.error('PATCH /api/user-challenges/:id/logs/:logId error:', err);
+      res.status(500).json({ message: 'Failed to update log entry', error: err.message });
+    }
+  });
+
+  // remove a log entry; points it earned are reversed
+  app.delete('/api/user-challenges/:id/logs/:logId', requireAuth, async (req, res) => {
+    try {
+      const { uc, log } = await loadOwnLog(req, res);
+      if (!log) return;
+
+      const result = await userChallengesCollection.updateOne({ _id: uc._id }, { $pull: { progressLogs: { _id: log._id } } });
+      if (!result.modifiedCount) return res.status(404).json({ message: 'Log entry not found' });
+
+      // entries from when points were per entry carry their own award; otherwise the
+      // day's award goes once its last entry does
+      const award = await pointsLedgerCollection.findOne({ key: `progressLogged:${log._id}` });
+      if (award) {
+        await awardPointsSafely(uc.userId, 'progressLogRemoved', award.ref, { key: `progressLogRemoved:${log._id}`, points: -award.points });
+      } else if (log.day && !(await userChallengesCollection.countDocuments({ _id: uc._id, 'progressLogs.day': log.day }))) {
+        await reverseLoggedDay(uc, log.day);
+      }
+
+      const updated = await recomputeUserChallenge(uc._id, uc.timezone || await userTimeZone(uc.userId));
+      res.json({ success: true, deletedId: log._id, updated });
+    } catch (err) {
+      console.error('DELETE /api/user-challenges/:id/logs/:logId error:', err);
+      res.status(500).json({ message: 'Failed to delete log entry', error: err.message });
+    }
+  });
+
+  // leave / delete a user-challenge
+  app.delete('/api/user-challenges/:id', requireAuth, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const uc = ObjectId.isValid(id) ? await userChallengesCollection.findOne({ _id: new ObjectId(id) }) : null;
+      if (!uc) return res.status(404).json({ message: 'Not found' });
+      if (uc.userId !== req.user.email) return res.status(403).json({ message: 'Forbidden' });
+
+      // a concurrent leave may have won; either way the user is out
+      await leaveChallenge(uc);
+      res.json({ success: true, message: 'Left challenge' });
+    } catch (err) {
+      console.error('DELETE /api/user-challenges/:id error:', err);
+      res.status(500).json({ message: 'Failed to leave challenge', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     TIPS
+  ------------------------- */
+
+  // Set the caller's vote on a tip: 1 (up), -1 (down) or 0 (remove).
+  // One vote per user per tip; counters move by the difference from the previous vote.
+  async function setTipVote(tip, userId, value) {
+    const filter = { tipId: tip._id, userId };
+    let previous;
+    if (value === 0) {
+      previous = await tipVotesCollection.findOneAndDelete(filter);
+    } else {
+      const update = { $set: { value, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } };
+      const opts = { upsert: true, returnDocument: 'before' };
+      try {
+        previous = await tipVotesCollection.findOneAndUpdate(filter, update, opts);
+      } catch (err) {
+        // two concurrent first votes race on the upsert; the retry updates the winner
+        if (err.code !== 11000) throw err;
+        previous = await tipVotesCollection.findOneAndUpdate(filter, update, opts);
+      }
+    }
+
+    const prev = previous ? previous.value : 0;
+    if (prev !== value) {
+      await tipsCollection.updateOne({ _id: tip._id }, {
+        $inc: {
+          upvotes: (value === 1) - (prev === 1),
+          downvotes: (value === -1) - (prev === -1),
+          score: value - prev,
+        },
+      });
+      if (value === 1) {
+        await awardPointsSafely(tip.author, 'tipUpvoteReceived', { type: 'tip', id: tip._id });
+        await notifySafely(tip.author, 'tip_upvoted', {
+          title: `Your tip "${tip.title}" was upvoted`,
+          ref: { type: 'tip', id: tip._id },
+          dedupeKey: () => `tip_upvoted:${tip._id}:${userId}`,
+          actor: userId,
+        });
+      } else if (prev === 1) {
+        await awardPointsSafely(tip.author, 'tipUpvoteRemoved', { type: 'tip', id: tip._id }, { points: -POINTS_RULES.tipUpvoteReceived });
+      }
+      await evaluateBadgesSafely(tip.author);
+    }
+
+    const updated = await tipsCollection.findOne({ _id: tip._id }, { projection: { upvotes: 1, downvotes: 1, score: 1 } });
+    return { tip: updated, myVote: value };
+  }
+
+  async function myTipVotes(userId, tipIds) {
+    if (!userId || !tipIds.length) return {};
+    const votes = await tipVotesCollection.find({ userId, tipId: { $in: tipIds } }).toArray();
+    return Object.fromEntries(votes.map(v => [String(v.tipId), v.value]));
+  }
+
+  const TIP_SORTS = ['new', 'top', 'hot'];
+
+  // get tips: ?sort=new|top|hot&category&author&limit&cursor|before; myVote is included for signed-in callers
+  app.get('/api/tips', optionalAuth, async (req, res) => {
+    try {
+      const sort = String(req.query.sort || 'new');
+      if (!TIP_SORTS.includes(sort)) return sendValidationErrors(res, [{ field: 'sort', message: `sort must be one of ${TIP_SORTS.join(', ')}` }]);
+
+      const q = { ...NOT_DELETED };
+      if (req.query.category) q.category = listFilter(req.query.category);
+      if (req.query.author) q.author = String(req.query.author);
+
+      const field = sort === 'top' ? 'score' : 'createdAt';
+      const paging = readCursorParams(req.query, { defaultLimit: 5, field: sort === 'hot' ? null : field });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      let items;
+      let cursors;
+      if (sort === 'hot') {
+        // hotness changes over time, so hot pages by offset
+        // score decays with age: score / (hours + 2)^1.5
+        const now = new Date();
+        const offset = paging.cursor ? paging.cursor.o : 0;
+        const docs = await tipsCollection.aggregate([
+          { $match: q },
+          {
+            $addFields: {
+              hot: {
+                $divide: [
+                  { $ifNull: ['$score', 0] },
+                  { $pow: [{ $add: [{ $divide: [{ $subtract: [now, '$createdAt'] }, 3600000] }, 2] }, 1.5] },
+                ],
+              },
+            },
+          },
+          { $sort: { hot: -1, _id: -1 } },
+          { $skip: offset },
+          { $limit: paging.limit + 1 },
+        ]).toArray();
+        items = docs.slice(0, paging.limit);
+        cursors = offsetCursors(offset, paging.limit, docs.length > paging.limit);
+      } else {
+        ({ items, ...cursors } = await keysetPage(tipsCollection, q, { field, dir: -1 }, paging));
+      }
+
+      const votes = await myTipVotes(req.user && req.user.email, items.map(t => t._id));
+      res.json({
+        items: items.map(t => ({ ...t, commentCount: t.commentCount || 0, myVote: votes[String(t._id)] || 0 })),
+        ...cursors,
+      });
+    } catch (err) {
+      console.error('GET /api/tips error:', err);
+      res.status(500).json({ message: 'Failed to get tips', error: err.message });
+    }
+  });
+
+  // get single tip
+  app.get('/api/tips/:id', optionalAuth, async (req, res) => {
+    try {
+      const id = req.params.id;
+      let query;
+      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
+      else query = { _id: id };
+      const tip = await tipsCollection.findOne({ ...query, ...NOT_DELETED });
+      if (!tip) return res.status(404).json({ message: 'Tip not found' });
+      const votes = await myTipVotes(req.user && req.user.email, [tip._id]);
+      res.json({ ...tip, myVote: votes[String(tip._id)] || 0 });
+    } catch (err) {
+      console.error('GET /api/tips/:id error:', err);
+      res.status(500).json({ message: 'Failed to get tip', error: err.message });
+    }
+  });
+
+  // add tip (protected, author is the caller)
+  app.post('/api/tips', requireAuth, validateBody(SCHEMAS.tip), async (req, res) => {
+    try {
+      const newTip = {
+        ...req.body,
+        author: req.user.email,
+        upvotes: 0,
+        downvotes: 0,
+        score: 0,
+        commentCount: 0,
+        createdAt: new Date(),
+      };
+      const result = await tipsCollection.insertOne(newTip);
+      await recordAuditSafely('tips', null, { _id: result.insertedId, ...newTip }, req.user.email);
+      await evaluateBadgesSafely(req.user.email);
+      await recordActivitySafely(req.user.email, 'tip_posted', { ref: { type: 'tip', id: result.insertedId }, title: newTip.title });
+      res.status(201).json({ success: true, tipId: result.insertedId, tip: { _id: result.insertedId, ...newTip } });
+    } catch (err) {
+      console.error('POST /api/tips error:', err);
+      res.status(500).json({ message: 'Failed to create tip', error: err.message });
+    }
+  });
+
+  // vote on a tip (protected): body { value: 1 | -1 | 0 }
+  app.put('/api/tips/:id/vote', requireAuth, validateBody(SCHEMAS.tipVote), async (req, res) => {
+    try {
+      const { value } = req.body;
+
+      const tip = await tipsCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { author: 1, title: 1 } });
+      if (!tip) return res.status(404).json({ message: 'Tip not found' });
+      if (tip.author === req.user.email) return res.status(400).json({ message: 'You cannot vote on your own tip' });
+
+      res.json({ success: true, ...(await setTipVote(tip, req.user.email, value)) });
+    } catch (err) {
+      console.error('PUT /api/tips/:id/vote error:', err);
+      res.status(500).json({ message: 'Failed to vote on tip', error: err.message });
+    }
+  });
+
+  // remove the caller's vote
+  app.delete('/api/tips/:id/vote', requireAuth, async (req, res) => {
+    try {
+      const tip = await tipsCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { author: 1, title: 1 } });
+      if (!tip) return res.status(404).json({ message: 'Tip not found' });
+
+      res.json({ success: true, ...(await setTipVote(tip, req.user.email, 0)) });
+    } catch (err) {
+      console.error('DELETE /api/tips/:id/vote error:', err);
+      res.status(500).json({ message: 'Failed to remove vote', error: err.message });
+    }
+  });
+
+  // upvote tip (protected) — same as PUT /vote with value 1, kept for existing clients
+  app.patch('/api/tips/:id/upvote', requireAuth, async (req, res) => {
+    try {
+      const tip = await tipsCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { author: 1, title: 1 } });
+      if (!tip) return res.status(404).json({ message: 'Tip not found' });
+      if (tip.author === req.user.email) return res.status(400).json({ message: 'You cannot vote on your own tip' });
+
+      res.json({ success: true, ...(await setTipVote(tip, req.user.email, 1)) });
+    } catch (err) {
+      console.error('PATCH /api/tips/:id/upvote error:', err);
+      res.status(500).json({ message: 'Failed to upvote tip', error: err.message });
+    }
+  });
+
+  // delete tip (protected, author or moderator)
+  app.delete('/api/tips/:id', requireAuth, async (req, res) => {
+    try {
+      const id = req.params.id;
+      let query;
+      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
+      else query = { _id: id };
+
+      const existing = await tipsCollection.findOne({ ...query, ...NOT_DELETED });
+      if (!existing) return res.status(404).json({ message: 'Tip not found' });
+      if (existing.author !== req.user.email && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only author or a moderator can delete' });
+      }
+
+      const deleted = await softDeleteTip(existing, req.user.email);
+      res.json({ success: true, deletedCount: deleted ? 1 : 0, restoreUntil: restoreDeadline({ deletedAt: new Date() }) });
+    } catch (err) {
+      console.error('DELETE /api/tips/:id error:', err);
+      res.status(500).json({ message: 'Failed to delete tip', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     EVENTS
+  ------------------------- */
+
+  // get events by date: ?upcoming=true&date_gte&date_lte&location&organizer&limit&cursor|before
+  app.get('/api/events', async (req, res) => {
+    try {
+      const upcoming = req.query.upcoming === 'true';
+      const range = upcoming ? { $gte: new Date() } : {};
+      if (req.query.date_gte) {
+        const from = new Date(req.query.date_gte);
+        if (Number.isNaN(from.getTime())) return res.status(400).json({ message: 'date_gte must be a valid date' });
+        if (!range.$gte || from > range.$gte) range.$gte = from;
+      }
+      if (req.query.date_lte) {
+        const to = new Date(req.query.date_lte);
+        if (Number.isNaN(to.getTime())) return res.status(400).json({ message: 'date_lte must be a valid date' });
+        range.$lte = to;
+      }
+      const q = Object.keys(range).length ? { date: range } : {};
+      if (req.query.location) q.location = containsFilter(req.query.location);
+      if (req.query.organizer) q.organizer = containsFilter(req.query.organizer);
+
+      const paging = readCursorParams(req.query, { defaultLimit: 4, field: 'date' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const { items, next, prev } = await keysetPage(eventsCollection, q, { field: 'date', dir: 1 }, paging);
+      res.json({ items, next, prev });
+    } catch (err) {
+      console.error('GET /api/events error:', err);
+      res.status(500).json({ message: 'Failed to get events', error: err.message });
+    }
+  });
+
+  // get single event
+  app.get('/api/events/:id', async (req, res) => {
+    try {
+      const id = req.params.id;
+      let query;
+      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
+      else query = { _id: id };
+      const ev = await eventsCollection.findOne(query);
+      if (!ev) return res.status(404).json({ message: 'Event not found' });
+      res.json(ev);
+    } catch (err) {
+      console.error('GET /api/events/:id error:', err);
+      res.status(500).json({ message: 'Failed to get event', error: err.message });
+    }
+  });
+
+  // create event (protected)
+  app.post('/api/events', requireAuth, validateBody(SCHEMAS.event), async (req, res) => {
+    try {
+      const imageErrors = await resolveImageRef(req, req.body, 'imageId', 'imageUrl');
+      if (imageErrors.length) return sendValidationErrors(res, imageErrors);
+
+      const newEvent = {
+        ...req.body,
+        currentParticipants: 0,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await eventsCollection.insertOne(newEvent);
+      await recordAuditSafely('events', null, { _id: result.insertedId, ...newEvent }, req.user.email);
+      res.status(201).json({ success: true, eventId: result.insertedId, event: { _id: result.insertedId, ...newEvent } });
+    } catch (err) {
+      console.error('POST /api/events error:', err);
+      res.status(500).json({ message: 'Failed to create event', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     EVENT REGISTRATIONS
+  ------------------------- */
+
+  // take one seat if the event isn't full; returns null when full.
+  // Events from before capacities existed have no maxParticipants and never fill up.
+  function claimEventSeat(eventId) {
+    return eventsCollection.findOneAndUpdate(
+      {
+        _id: eventId,
+        $or: [
+          { maxParticipants: null },
+          { $expr: { $lt: [{ $ifNull: ['$currentParticipants', 0] }, '$maxParticipants'] } },
+        ],
+      },
+      { $inc: { currentParticipants: 1 } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  function releaseEventSeat(eventId) {
+    return eventsCollection.updateOne(
+      { _id: eventId, currentParticipants: { $gt: 0 } },
+      { $inc: { currentParticipants: -1 } }
+    );
+  }
+
+  // fill free seats from the waitlist, oldest registration first
+  async function promoteFromWaitlist(eventId) {
+    const promoted = [];
+    while (await claimEventSeat(eventId)) {
+      const reg = await eventRegistrationsCollection.findOneAndUpdate(
+        { eventId, status: 'Waitlisted' },
+        { $set: { status: 'Registered', promotedAt: new Date() } },
+        { sort: { registeredAt: 1 }, returnDocument: 'after' }
+      );
+      if (!reg) {
+        await releaseEventSeat(eventId);
+        break;
+      }
+      promoted.push(reg);
+      await notifySafely(reg.userId, 'event_promoted', {
+        title: 'You are off the waitlist',
+        body: 'A seat opened up and you are now registered.',
+        ref: { type: 'event', id: eventId },
+      });
+    }
+    if (promoted.length) {
+      const event = await eventsCollection.findOne({ _id: eventId }, { projection: { title: 1 } });
+      for (const reg of promoted) {
+        await recordActivitySafely(reg.userId, 'event_registered', {
+          ref: { type: 'event', id: eventId },
+          title: event ? event.title : '',
+          key: `event_registered:${reg._id}`,
+        });
+      }
+    }
+    return promoted;
+  }
+
+  async function waitlistPosition(reg) {
+    if (reg.status !== 'Waitlisted') return null;
+    const ahead = await eventRegistrationsCollection.countDocuments({
+      eventId: reg.eventId,
+      status: 'Waitlisted',
+      registeredAt: { $lt: reg.registeredAt },
+    });
+    return ahead + 1;
+  }
+
+  // Join event (protected) — registers if a seat is free, otherwise waitlists
+  app.post('/api/events/join/:id', requireAuth, async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const event = await eventsCollection.findOne(idQuery(req.params.id));
+      if (!event) return res.status(404).json({ message: 'Event not found' });
+      if (event.date && new Date(event.date) < new Date()) return res.status(400).json({ message: 'Event has already taken place' });
+
+      const reg = {
+        eventId: event._id,
+        userId: userEmail,
+        status: 'Waitlisted',
+        registeredAt: new Date(),
+      };
+
+      // the unique (eventId, userId) index makes concurrent joins safe
+      try {
+        const insertResult = await eventRegistrationsCollection.insertOne(reg);
+        reg._id = insertResult.insertedId;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        const exists = await eventRegistrationsCollection.findOne({ eventId: event._id, userId: userEmail });
+        return res.status(200).json({ message: 'Already registered', registration: { ...exists, waitlistPosition: await waitlistPosition(exists) } });
+      }
+
+      if (await claimEventSeat(event._id)) {
+        // a concurrent promotion may already have seated us; give the extra seat back
+        const upgraded = await eventRegistrationsCollection.updateOne(
+          { _id: reg._id, status: 'Waitlisted' },
+          { $set: { status: 'Registered' } }
+        );
+        if (!upgraded.modifiedCount) await releaseEventSeat(event._id);
+        else {
+          await recordActivitySafely(userEmail, 'event_registered', {
+            ref: { type: 'event', id: event._id },
+            title: event.title,
+            key: `event_registered:${reg._id}`,
+          });
+        }
+      }
+
+      const saved = await eventRegistrationsCollection.findOne({ _id: reg._id });
+      res.status(201).json({
+        success: true,
+        registrationId: saved._id,
+        registration: { ...saved, waitlistPosition: await waitlistPosition(saved) },
+      });
+    } catch (err) {
+      console.error('POST /api/events/join/:id error:', err);
+      res.status(500).json({ message: 'Failed to join event', error: err.message });
+    }
+  });
+
+  // mark attendance (event creator or moderator) — awards eventAttended points once per registration
+  app.post('/api/events/:id/attendance', requireAuth, validateBody(SCHEMAS.attendance), async (req, res) => {
+    try {
+      const event = await eventsCollection.findOne(idQuery(req.params.id));
+      if (!event) return res.status(404).json({ message: 'Event not found' });
+      if (event.createdBy !== req.user.email && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only the event creator or a moderator can mark attendance' });
+      }
+      if (event.date && new Date(event.date) > new Date()) return sendValidationErrors(res, [{ field: 'date', message: 'Event has not started yet' }]);
+
+      const { emails } = req.body;
+
+      const regs = await eventRegistrationsCollection.find({ eventId: event._id, userId: { $in: emails }, status: 'Registered' }).toArray();
+      const now = new Date();
+      await eventRegistrationsCollection.updateMany(
+        { _id: { $in: regs.map(r => r._id) }, attendedAt: { $exists: false } },
+        { $set: { attendedAt: now } }
+      );
+      for (const reg of regs) {
+        await awardPointsSafely(reg.userId, 'eventAttended', { type: 'event', id: event._id }, { key: `eventAttended:${reg._id}` });
+        await evaluateBadgesSafely(reg.userId);
+      }
+
+      const marked = regs.map(r => r.userId);
+      res.json({ success: true, marked, notRegistered: emails.filter(e => !marked.includes(e)) });
+    } catch (err) {
+      console.error('POST /api/events/:id/attendance error:', err);
+      res.status(500).json({ message: 'Failed to mark attendance', error: err.message });
+    }
+  });
+
+  // Get logged-in user's event registrations (protected)
+  app.get('/api/event-registrations/me', requireAuth, async (req, res) => {
+    try {
+      const regs = await eventRegistrationsCollection.find({ userId: req.user.email }).sort({ registeredAt: -1 }).toArray();
+
+      const populated = await Promise.all(regs.map(async (reg) => {
+        const event = await eventsCollection.findOne({ _id: reg.eventId });
+        return { ...reg, waitlistPosition: await waitlistPosition(reg), event };
+      }));
+
+      res.json(populated);
+    } catch (err) {
+      console.error('GET /api/event-registrations/me error:', err);
+      res.status(500).json({ message: 'Failed to fetch event registrations', error: err.message });
+    }
+  });
+
+  // leave an event — frees the seat and promotes the next waitlisted user
+  app.delete('/api/event-registrations/:id', requireAuth, async (req, res) => {
+    try {
+      const query = idQuery(req.params.id);
+      const reg = await eventRegistrationsCollection.findOne(query);
+      if (!reg) return res.status(404).json({ message: 'Not found' });
+      if (reg.userId !== req.user.email) return res.status(403).json({ message: 'Forbidden' });
+
+      const result = await eventRegistrationsCollection.deleteOne({ _id: reg._id });
+      let promoted = [];
+      if (result.deletedCount && reg.status === 'Registered') {
+        await releaseEventSeat(reg.eventId);
+        promoted = await promoteFromWaitlist(reg.eventId);
+      }
+
+      res.json({ success: true, message: 'Left event', promotedCount: promoted.length });
+    } catch (err) {
+      console.error('DELETE /api/event-registrations/:id error:', err);
+      res.status(500).json({ message: 'Failed to leave event', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     CALENDAR (iCalendar export)
+  ------------------------- */
+
+  app.get('/api/events/:id/calendar.ics', async (req, res) => {
+    try {
+      const ev = await eventsCollection.findOne(idQuery(req.params.id));
+      if (!ev) return res.status(404).json({ message: 'Event not found' });
+      sendIcs(res, `event-${ev._id}.ics`, icsCalendar(ev.title, [eventToIcs(ev)]));
+    } catch (err) {
+      console.error('GET /api/events/:id/calendar.ics error:', err);
+      res.status(500).json({ message: 'Failed to export event', error: err.message });
+    }
+  });
+
+  app.get('/api/challenges/:id/calendar.ics', async (req, res) => {
+    try {
+      const ch = await challengesCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED });
+      if (!ch) return res.status(404).json({ message: 'Challenge not found' });
+      sendIcs(res, `challenge-${ch._id}.ics`, icsCalendar(ch.title, [challengeToIcs(ch)]));
+    } catch (err) {
+      console.error('GET /api/challenges/:id/calendar.ics error:', err);
+      res.status(500).json({ message: 'Failed to export challenge', error: err.message });
+    }
+  });
+
+  // create or rotate the caller's feed token (protected). Only a hash is stored; the token is shown once.
+  app.post('/api/calendar/token', requireAuth, async (req, res) => {
+    try {
+      const token = crypto.randomBytes(24).toString('base64url');
+      const result = await usersCollection.updateOne(
+        { email: req.user.email },
+        { $set: { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: new Date() } }
+      );
+      if (!result.matchedCount) return res.status(404).json({ message: 'User not found' });
+
+      const path = `/api/calendar/${token}.ics`;
+      const origin = requestOrigin(req);
+      res.status(201).json({ success: true, token, path, url: `${origin}${path}`, webcal: `${origin.replace(/^https?/, 'webcal')}${path}` });
+    } catch (err) {
+      console.error('POST /api/calendar/token error:', err);
+      res.status(500).json({ message: 'Failed to create calendar token', error: err.message });
+    }
+  });
+
+  // revoke the feed token (protected)
+  app.delete('/api/calendar/token', requireAuth, async (req, res) => {
+    try {
+      await usersCollection.updateOne({ email: req.user.email }, { $unset: { calendarTokenHash: '', calendarTokenCreatedAt: '' } });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('DELETE /api/calendar/token error:', err);
+      res.status(500).json({ message: 'Failed to revoke calendar token', error: err.message });
+    }
+  });
+
+  // subscribable feed of joined challenges and registered events, built fresh on every poll
+  app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ calendarTokenHash: hashToken(req.params.token) }, { projection: { email: 1 } });
+      if (!user) return res.status(404).json({ message: 'Calendar not found' });
+
+      const [ucs, regs] = await Promise.all([
+        userChallengesCollection.find({ userId: user.email }, { projection: { challengeId: 1 } }).toArray(),
+        eventRegistrationsCollection.find({ userId: user.email }, { projection: { eventId: 1, status: 1 } }).toArray(),
+      ]);
+      const [challenges, events] = await Promise.all([
+        challengesCollection.find({ _id: { $in: ucs.map(uc => uc.challengeId) }, ...NOT_DELETED }).toArray(),
+        eventsCollection.find({ _id: { $in: regs.map(r => r.eventId) } }).toArray(),
+      ]);
+      const regStatus = new Map(regs.map(r => [String(r.eventId), r.status]));
+
+      const vevents = [
+        ...challenges.filter(ch => ch.startDate && ch.endDate).map(challengeToIcs),
+        ...events.filter(ev => ev.date).map(ev => eventToIcs(ev, regStatus.get(String(ev._id)) === 'Waitlisted' ? 'TENTATIVE' : 'CONFIRMED')),
+      ];
+      sendIcs(res, 'ecotrack.ics', icsCalendar('EcoTrack', vevents), { cacheControl: 'private, max-age=900' });
+    } catch (err) {
+      console.error('GET /api/calendar/:token.ics error:', err);
+      res.status(500).json({ message: 'Failed to build calendar feed', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     COMMENTS
+  ------------------------- */
+
+  const commentTargets = [
+    { path: 'tips', type: 'tip', collection: tipsCollection, label: 'Tip' },
+    { path: 'challenges', type: 'challenge', collection: challengesCollection, label: 'Challenge' },
+  ];
+  const commentCollectionFor = type => commentTargets.find(t => t.type === type).collection;
+
+  for (const { path, type, collection, label } of commentTargets) {
+    // paginated top-level comments, each with its nested replies
+    app.get(`/api/${path}/:id/comments`, async (req, res) => {
+      try {
+        const target = await collection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { _id: 1 } });
+        if (!target) return res.status(404).json({ message: `${label} not found` });
+
+        const paging = readCursorParams(req.query, { field: 'createdAt' });
+        if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+        const q = { targetType: type, targetId: target._id, rootId: null };
+        const { items: roots, next, prev } = await keysetPage(commentsCollection, q, { field: 'createdAt', dir: 1 }, paging);
+        const replies = roots.length
+          ? await commentsCollection.find({ rootId: { $in: roots.map(c => c._id) } }).sort({ createdAt: 1 }).toArray()
+          : [];
+
+        res.json({ items: buildCommentTree(roots, replies), next, prev });
+      } catch (err) {
+        console.error(`GET /api/${path}/:id/comments error:`, err);
+        res.status(500).json({ message: 'Failed to get comments', error: err.message });
+      }
+    });
+
+    // add a comment or a reply (parentId) (protected)
+    app.post(`/api/${path}/:id/comments`, requireAuth, validateBody(SCHEMAS.comment), async (req, res) => {
+      try {
+        const body = req.body;
+        const text = body.body;
+
+        const target = await collection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { _id: 1 } });
+        if (!target) return res.status(404).json({ message: `${label} not found` });
+
+        let parent = null;
+        if (body.parentId) {
+          parent = await commentsCollection.findOne(idQuery(String(body.parentId)));
+          if (!parent || parent.targetType !== type || String(parent.targetId) !== String(target._id)) {
+            return sendValidationErrors(res, [{ field: 'parentId', message: 'parentId does not belong to this thread' }]);
+          }
+          if (parent.deletedAt) return sendValidationErrors(res, [{ field: 'parentId', message: 'Cannot reply to a deleted comment' }]);
+          if (parent.depth >= COMMENT_MAX_DEPTH) return sendValidationErrors(res, [{ field: 'parentId', message: 'Maximum reply depth reached' }]);
+        }
+
+        const comment = {
+          targetType: type,
+          targetId: target._id,
+          rootId: parent ? (parent.rootId || parent._id) : null,
+          parentId: parent ? parent._id : null,
+          depth: parent ? parent.depth + 1 : 0,
+          author: req.user.email,
+          authorName: body.authorName,
+          body: text,
+          replyCount: 0,
+          createdAt: new Date(),
+          editedAt: null,
+        };
+
+        const result = await commentsCollection.insertOne(comment);
+        await collection.updateOne({ _id: target._id }, { $inc: { commentCount: 1 } });
+        if (parent) await commentsCollection.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+
+        res.status(201).json({ success: true, commentId: result.insertedId, comment: { _id: result.insertedId, ...comment } });
+      } catch (err) {
+        console.error(`POST /api/${path}/:id/comments error:`, err);
+        res.status(500).json({ message: 'Failed to add comment', error: err.message });
+      }
+    });
+  }
+
+  // edit own comment within the edit window
+  app.patch('/api/comments/:id', requireAuth, validateBody({ body: SCHEMAS.comment.body }), async (req, res) => {
+    try {
+      const text = req.body.body;
+
+      const comment = await commentsCollection.findOne(idQuery(req.params.id));
+      if (!comment || comment.deletedAt) return res.status(404).json({ message: 'Comment not found' });
+      if (comment.author !== req.user.email) return res.status(403).json({ message: 'Forbidden: only the author can edit' });
+      if (Date.now() - new Date(comment.createdAt).getTime() > COMMENT_EDIT_WINDOW_MS) {
+        return res.status(403).json({ message: 'Edit window has closed' });
+      }
+
+      const editedAt = new Date();
+      await commentsCollection.updateOne({ _id: comment._id }, { $set: { body: text, editedAt } });
+      res.json({ success: true, comment: { ...comment, body: text, editedAt } });
+    } catch (err) {
+      console.error('PATCH /api/comments/:id error:', err);
+      res.status(500).json({ message: 'Failed to edit comment', error: err.message });
+    }
+  });
+
+  // delete comment (author or moderator). Comments with replies are blanked so the thread
+  // survives, and removed once their last reply is gone.
+  app.delete('/api/comments/:id', requireAuth, async (req, res) => {
+    try {
+      const comment = await commentsCollection.findOne(idQuery(req.params.id));
+      if (!comment || comment.deletedAt) return res.status(404).json({ message: 'Comment not found' });
+      if (comment.author !== req.user.email && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only author or a moderator can delete' });
+      }
+
+      if (comment.replyCount > 0) {
+        await commentsCollection.updateOne(
+          { _id: comment._id },
+          { $set: { body: '', author: null, authorName: '', deletedAt: new Date(), deletedBy: req.user.email } }
+        );
+      } else {
+        await commentsCollection.deleteOne({ _id: comment._id });
+        // a blanked ancestor left without replies goes too, which may empty its own parent
+        let parentId = comment.parentId;
+        while (parentId) {
+          const parent = await commentsCollection.findOneAndUpdate({ _id: parentId }, { $inc: { replyCount: -1 } }, { returnDocument: 'after' });
+          if (!parent || !parent.deletedAt || parent.replyCount > 0) break;
+          const removed = await commentsCollection.deleteOne({ _id: parent._id, deletedAt: { $exists: true }, replyCount: { $lte: 0 } });
+          if (!removed.deletedCount) break;
+          parentId = parent.parentId;
+        }
+      }
+      await commentCollectionFor(comment.targetType).updateOne(
+        { _id: comment.targetId, commentCount: { $gt: 0 } },
+        { $inc: { commentCount: -1 } }
+      );
+
+      res.json({ success: true, message: 'Comment deleted' });
+    } catch (err) {
+      console.error('DELETE /api/comments/:id error:', err);
+      res.status(500).json({ message: 'Failed to delete comment', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     NOTIFICATIONS
+  ------------------------- */
+
+  // newest first: ?unread=true&type&limit&cursor|before
+  app.get('/api/notifications', requireAuth, async (req, res) => {
+    try {
+      const q = { userId: req.user.email };
+      if (req.query.unread === 'true') q.read = false;
+      if (req.query.type) q.type = listFilter(req.query.type);
+
+      const paging = readCursorParams(req.query, { field: 'createdAt' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const { items, next, prev } = await keysetPage(notificationsCollection, q, { field: 'createdAt', dir: -1 }, paging);
+      res.json({ items, next, prev });
+    } catch (err) {
+      console.error('GET /api/notifications error:', err);
+      res.status(500).json({ message: 'Failed to get notifications', error: err.message });
+    }
+  });
+
+  app.get('/api/notifications/unread-count', requireAuth, async (req, res) => {
+    try {
+      const count = await notificationsCollection.countDocuments({ userId: req.user.email, read: false });
+      res.json({ count });
+    } catch (err) {
+      console.error('GET /api/notifications/unread-count error:', err);
+      res.status(500).json({ message: 'Failed to count notifications', error: err.message });
+    }
+  });
+
+  app.patch('/api/notifications/:id/read', requireAuth, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateOne(
+        { ...idQuery(req.params.id), userId: req.user.email },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      if (!result.matchedCount) return res.status(404).json({ message: 'Notification not found' });
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    } catch (err) {
+      console.error('PATCH /api/notifications/:id/read error:', err);
+      res.status(500).json({ message: 'Failed to mark notification read', error: err.message });
+    }
+  });
+
+  app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { userId: req.user.email, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    } catch (err) {
+      console.error('POST /api/notifications/read-all error:', err);
+      res.status(500).json({ message: 'Failed to mark notifications read', error: err.message });
+    }
+  });
+
+  // every type with the caller's setting (default on)
+  app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ email: req.user.email }, { projection: { notificationPrefs: 1 } });
+      const prefs = (user && user.notificationPrefs) || {};
+      res.json({
+        items: Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({ type, description, enabled: prefs[type] !== false })),
+      });
+    } catch (err) {
+      console.error('GET /api/notifications/preferences error:', err);
+      res.status(500).json({ message: 'Failed to get notification preferences', error: err.message });
+    }
+  });
+
+  // body: { <type>: true|false, ... }
+  app.put('/api/notifications/preferences', requireAuth, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const errors = [];
+      const updates = {};
+      for (const [type, enabled] of Object.entries(body)) {
+        if (!NOTIFICATION_TYPES[type]) errors.push({ field: type, message: `${type} is not a notification type` });
+        else if (typeof enabled !== 'boolean') errors.push({ field: type, message: `${type} must be true or false` });
+        else updates[`notificationPrefs.${type}`] = enabled;
+      }
+      if (errors.length) return sendValidationErrors(res, errors);
+      if (!Object.keys(updates).length) return sendValidationErrors(res, [{ field: 'body', message: 'at least one preference is required' }]);
+
+      const result = await usersCollection.updateOne({ email: req.user.email }, { $set: updates });
+      if (!result.matchedCount) return res.status(404).json({ message: 'User not found' });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('PUT /api/notifications/preferences error:', err);
+      res.status(500).json({ message: 'Failed to update notification preferences', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     USERS
+  ------------------------- */
+
+  // create user (idempotent, protected: callers can only create themselves)
+  app.post('/api/users', requireAuth, async (req, res) => {
+    try {
+      if (req.body && req.body.email && req.body.email !== req.user.email) {
+        return res.status(403).json({ message: 'Forbidden: can only create your own user' });
+      }
+      const { value: profile, errors } = validateSchema(SCHEMAS.user, req.body);
+      errors.push(...(await resolveImageRef(req, profile, 'photoImageId', 'photoURL')));
+      if (errors.length) return sendValidationErrors(res, errors);
+      const user = { ...profile, email: req.user.email };
+      const existingUser = await usersCollection.findOne({ email: user.email });
+      if (existingUser) return res.json({ message: 'User already exists', user: existingUser });
+
+      const newUser = {
+        ...user,
+        role: 'user',
+        ecoPoints: 0,
+        createdAt: new Date(),
+      };
+
+      const result = await usersCollection.insertOne(newUser);
+      res.status(201).json({ success: true, userId: result.insertedId, user: newUser });
+    } catch (err) {
+      console.error('POST /api/users error:', err);
+      res.status(500).json({ message: 'Failed to create user', error: err.message });
+    }
+  });
+
+  // what anyone may see of a user; secrets (calendarTokenHash) and settings stay private
+  const publicUserProjection = {
+    email: 1, name: 1, photoURL: 1, photoImageId: 1, bio: 1, location: 1,
+    role: 1, ecoPoints: 1, followersCount: 1, followingCount: 1, createdAt: 1,
+  };
+
+  // list users by email: ?role&limit&cursor|before
+  app.get('/api/users', async (req, res) => {
+    try {
+      const q = {};
+      if (req.query.role) q.role = listFilter(req.query.role);
+
+      const paging = readCursorParams(req.query, { field: 'email' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const { items, next, prev } = await keysetPage(usersCollection, q, { field: 'email', dir: 1 }, paging, { projection: publicUserProjection });
+      res.json({ items, next, prev });
+    } catch (err) {
+      console.error('GET /api/users error:', err);
+      res.status(500).json({ message: 'Failed to get users', error: err.message });
+    }
+  });
+
+  // get single user by email
+  app.get('/api/users/:email', optionalAuth, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const user = await usersCollection.findOne({ email }, { projection: publicUserProjection });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      const badges = await userBadgesCollection.find({ userId: email }).sort({ awardedAt: -1 }).toArray();
+      const result = { ...user, badges };
+      if (req.user && req.user.email !== email) {
+        result.following = !!(await followsCollection.countDocuments({ follower: req.user.email, followee: email }, { limit: 1 }));
+      }
+      res.json(result);
+    } catch (err) {
+      console.error('GET /api/users/:email error:', err);
+      res.status(500).json({ message: 'Failed to get user', error: err.message });
+    }
+  });
+
+  // a user's badges, newest first
+  app.get('/api/users/:email/badges', async (req, res) => {
+    try {
+      const items = await userBadgesCollection.find({ userId: req.params.email }).sort({ awardedAt: -1 }).toArray();
+      res.json({ items });
+    } catch (err) {
+      console.error('GET /api/users/:email/badges error:', err);
+      res.status(500).json({ message: 'Failed to get badges', error: err.message });
+    }
+  });
+
+  // a user's point history, newest first
+  app.get('/api/users/:email/points', async (req, res) => {
+    try {
+      const email = req.params.email;
+      const paging = readCursorParams(req.query, { field: 'createdAt' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const user = await usersCollection.findOne({ email }, { projection: { ecoPoints: 1 } });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const { items, next, prev } = await keysetPage(pointsLedgerCollection, { userId: email }, { field: 'createdAt', dir: -1 }, paging);
+      res.json({ ecoPoints: user.ecoPoints || 0, items, next, prev });
+    } catch (err) {
+      console.error('GET /api/users/:email/points error:', err);
+      res.status(500).json({ message: 'Failed to get points history', error: err.message });
+    }
+  });
+
+  // update user by email (protected, self only; roles change via /api/admin/users/:email/role)
+  app.patch('/api/users/:email', requireAuth, validateBody(SCHEMAS.user, { partial: true }), async (req, res) => {
+    try {
+      const email = req.params.email;
+      if (email !== req.user.email) return res.status(403).json({ message: 'Forbidden: can only update your own profile' });
+      const existing = await usersCollection.findOne({ email }, { projection: { photoImageId: 1, photoURL: 1 } });
+      const imageErrors = await resolveImageRef(req, req.body, 'photoImageId', 'photoURL', existing || {});
+      if (imageErrors.length) return sendValidationErrors(res, imageErrors);
+      const updatedData = req.body;
+      const result = await usersCollection.updateOne({ email }, { $set: updatedData });
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    } catch (err) {
+      console.error('PATCH /api/users/:email error:', err);
+      res.status(500).json({ message: 'Failed to update user', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     ACCOUNT DATA (export & deletion)
+  ------------------------- */
+
+  // everything stored about a user, as plain documents
+  async function collectUserData(email) {
+    const [profile, userChallenges, tips, challenges, registrations, comments, points, badges, following, followers, teams] = await Promise.all([
+      usersCollection.findOne({ email }, { projection: { calendarTokenHash: 0 } }),
+      userChallengesCollection.find({ userId: email }).sort({ joinDate: 1 }).toArray(),
+      tipsCollection.find({ author: email }).sort({ createdAt: 1 }).toArray(),
+      challengesCollection.find({ createdBy: email }).sort({ createdAt: 1 }).toArray(),
+      eventRegistrationsCollection.find({ userId: email }).sort({ registeredAt: 1 }).toArray(),
+      commentsCollection.find({ author: email }).sort({ createdAt: 1 }).toArray(),
+      pointsLedgerCollection.find({ userId: email }).sort({ createdAt: 1 }).toArray(),
+      userBadgesCollection.find({ userId: email }).sort({ awardedAt: 1 }).toArray(),
+      followsCollection.find({ follower: email }, { projection: { followee: 1, createdAt: 1 } }).toArray(),
+      followsCollection.find({ followee: email }, { projection: { follower: 1, createdAt: 1 } }).toArray(),
+      teamsCollection.find({ members: email }, { projection: { name: 1, captain: 1 } }).toArray(),
+    ]);
+
+    // titles so the export reads on its own
+    const [joined, events] = await Promise.all([
+      challengesCollection.find({ _id: { $in: userChallenges.map(uc => uc.challengeId) } }, { projection: { title: 1 } }).toArray(),
+      eventsCollection.find({ _id: { $in: registrations.map(r => r.eventId) } }, { projection: { title: 1, date: 1 } }).toArray(),
+    ]);
+    const challengeTitles = new Map(joined.map(ch => [String(ch._id), ch.title]));
+    const eventsById = new Map(events.map(ev => [String(ev._id), ev]));
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      userChallenges: userChallenges.map(uc => ({ ...uc, challengeTitle: challengeTitles.get(String(uc.challengeId)) || null })),
+      tips,
+      challenges,
+      eventRegistrations: registrations.map(r => {
+        const ev = eventsById.get(String(r.eventId));
+        return { ...r, eventTitle: ev ? ev.title : null, eventDate: ev ? ev.date : null };
+      }),
+      comments,
+      points,
+      badges,
+      following,
+      followers,
+      teams: teams.map(t => ({ ...t, captain: t.captain === email })),
+    };
+  }
+
+  // one CSV per section; nested progress logs get their own file
+  function userDataCsvFiles(data) {
+    const logs = data.userChallenges.flatMap(uc => (uc.progressLogs || []).map(l => ({
+      ...l,
+      userChallengeId: uc._id,
+      challengeTitle: uc.challengeTitle,
+    })));
+    return {
+      'profile.csv': toCsv(data.profile ? [data.profile] : [], ['email', 'name', 'photoURL', 'bio', 'location', 'timezone', 'role', 'ecoPoints', 'createdAt']),
+      'user_challenges.csv': toCsv(data.userChallenges, ['_id', 'challengeId', 'challengeTitle', 'status', 'progress', 'checkInDays', 'currentStreak', 'longestStreak', 'joinDate', 'lastUpdated', 'teamId']),
+      'progress_logs.csv': toCsv(logs, ['userChallengeId', 'challengeTitle', '_id', 'date', 'day', 'value', 'unit', 'metricType', 'baseValue', 'checkIn', 'note', 'evidenceUrl']),
+      'tips.csv': toCsv(data.tips, ['_id', 'title', 'category', 'content', 'upvotes', 'downvotes', 'createdAt', 'deletedAt']),
+      'challenges.csv': toCsv(data.challenges, ['_id', 'title', 'category', 'description', 'target', 'startDate', 'endDate', 'duration', 'participants', 'status', 'createdAt', 'deletedAt']),
+      'event_registrations.csv': toCsv(data.eventRegistrations, ['_id', 'eventId', 'eventTitle', 'eventDate', 'status', 'registeredAt', 'attendedAt']),
+      'comments.csv': toCsv(data.comments, ['_id', 'targetType', 'targetId', 'parentId', 'body', 'createdAt', 'editedAt']),
+      'points.csv': toCsv(data.points, ['createdAt', 'reason', 'points', 'ref']),
+      'badges.csv': toCsv(data.badges, ['badgeKey', 'name', 'awardedAt']),
+      'following.csv': toCsv(data.following, ['followee', 'createdAt']),
+      'followers.csv': toCsv(data.followers, ['follower', 'createdAt']),
+    };
+  }
+
+  // download my data: ?format=json (one file) | csv (zip of CSV files plus data.json)
+  app.get('/api/users/me/export', requireAuth, async (req, res) => {
+    try {
+      const format = String(req.query.format || 'json');
+      if (format !== 'json' && format !== 'csv') return res.status(400).json({ message: 'format must be json or csv' });
+
+      const data = await collectUserData(req.user.email);
+      if (!data.profile) return res.status(404).json({ message: 'User not found' });
+      const stamp = data.exportedAt.toISOString().slice(0, 10);
+      res.set('Cache-Control', 'no-store');
+
+      if (format === 'json') {
+        res.set('Content-Disposition', `attachment; filename="ecotrack-export-${stamp}.json"`);
+        return res.type('application/json').send(JSON.stringify(data, null, 2));
+      }
+
+      const zip = new JSZip();
+      zip.file('data.json', JSON.stringify(data, null, 2));
+      for (const [name, csv] of Object.entries(userDataCsvFiles(data))) zip.file(name, csv);
+      const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+      res.set('Content-Disposition', `attachment; filename="ecotrack-export-${stamp}.zip"`);
+      res.type('application/zip').send(archive);
+    } catch (err) {
+      console.error('GET /api/users/me/export error:', err);
+      res.status(500).json({ message: 'Failed to export data', error: err.message });
+    }
+  });
+
+  // Delete an account. Authored challenges, tips, events and comments stay, attributed
+  // to an anonymous alias; personal data, participations, votes and social links go,
+  // and the email is scrubbed from what other users and admins still see.
+  // The alias is derived from the user's _id and every step is idempotent, so a retry
+  // after a failure finishes the job; the users doc goes last.
+  async function deleteAccount(email) {
+    const user = await usersCollection.findOne({ email }, { projection: { _id: 1 } });
+    if (!user) return { deleted: false, summary: {} };
+    const alias = `deleted-${crypto.createHash('sha256').update(String(user._id)).digest('hex').slice(0, 12)}`;
+    const summary = {};
+
+    const anonymise = [
+      ['challenges', challengesCollection, { createdBy: email }, { createdBy: alias }],
+      ['tips', tipsCollection, { author: email }, { author: alias, authorName: 'Deleted user' }],
+      ['events', eventsCollection, { createdBy: email }, { createdBy: alias }],
+      ['comments', commentsCollection, { author: email }, { author: alias, authorName: 'Deleted user' }],
+      ['images', imagesCollection, { uploadedBy: email }, { uploadedBy: alias }],
+    ];
+    for (const [name, collection, filter, set] of anonymise) {
+      summary[name] = (await collection.updateMany(filter, { $set: set })).modifiedCount;
+    }
+    await Promise.all([
+      challengesCollection.updateMany({ deletedBy: email }, { $set: { deletedBy: alias } }),
+      tipsCollection.updateMany({ deletedBy: email }, { $set: { deletedBy: alias } }),
+      commentsCollection.updateMany({ deletedBy: email }, { $set: { deletedBy: alias } }),
+      usersCollection.updateMany({ roleUpdatedBy: email }, { $set: { roleUpdatedBy: alias } }),
+      teamsCollection.updateMany({ createdBy: email }, { $set: { createdBy: alias } }),
+      teamChallengesCollection.updateMany({ joinedBy: email }, { $set: { joinedBy: alias } }),
+      teamInvitesCollection.updateMany({ invitedBy: email }, { $set: { invitedBy: alias } }),
+      jobRunsCollection.updateMany({ 'summary.by': email }, { $set: { 'summary.by': alias } }),
+      jobRunsCollection.updateMany(
+        { 'changes.duplicates.userId': email },
+        { $set: { 'changes.duplicates.$[d].userId': alias } },
+        { arrayFilters: [{ 'd.userId': email }] }
+      ),
+    ]);
+
+    // Other users' notifications about this user's actions: bodies are rebuilt from their
+    // template, the actor fields and profile links move to the alias and the dedupe keys
+    // (which embed the actor) go. Notifications from before the actor field are matched
+    // on their exact body or key.
+    await Promise.all(Object.entries(NOTIFICATION_ACTOR_BODIES).map(([type, body]) => notificationsCollection.updateMany(
+      { type, $or: [{ actor: email }, { actor: { $exists: false }, body: body(email) }] },
+      { $set: { body: body('A deleted user') } }
+    )));
+    await Promise.all([
+      notificationsCollection.updateMany({ actor: email }, { $set: { actor: alias, actorName: 'Deleted user' }, $unset: { dedupeKey: '' } }),
+      notificationsCollection.updateMany(
+        { type: 'tip_upvoted', actor: { $exists: false }, dedupeKey: new RegExp(`^tip_upvoted:[^:]*:${escapeRegExp(email)}$`) },
+        { $unset: { dedupeKey: '' } }
+      ),
+      notificationsCollection.updateMany({ 'ref.type': 'user', 'ref.id': email }, { $set: { 'ref.id': alias } }),
+    ]);
+
+    // Audit history: the user's own profile history goes; authored content keeps its
+    // history under the alias, with the display name scrubbed from snapshots and diffs.
+    const owned = { owner: { $in: [email, alias] } };
+    await Promise.all([
+      auditLogCollection.deleteMany({ collection: 'users', owner: email }),
+      auditLogCollection.updateMany({ ...owned, 'snapshot.authorName': { $nin: [null, ''] } }, { $set: { 'snapshot.authorName': 'Deleted user' } }),
+      auditLogCollection.updateMany(
+        { ...owned, changes: { $elemMatch: { field: 'authorName', from: { $nin: [null, ''] } } } },
+        { $set: { 'changes.$[c].from': 'Deleted user' } },
+        { arrayFilters: [{ 'c.field': 'authorName', 'c.from': { $nin: [null, ''] } }] }
+      ),
+      auditLogCollection.updateMany(
+        { ...owned, changes: { $elemMatch: { field: 'authorName', to: { $nin: [null, ''] } } } },
+        { $set: { 'changes.$[c].to': 'Deleted user' } },
+        { arrayFilters: [{ 'c.field': 'authorName', 'c.to': { $nin: [null, ''] } }] }
+      ),
+    ]);
+    await Promise.all([
+      auditLogCollection.updateMany({ actor: email }, { $set: { actor: alias } }),
+      auditLogCollection.updateMany({ owner: email }, { $set: { owner: alias } }),
+    ]);
+
+    // participations and seats, keeping counters and waitlists right
+    const ucs = await userChallengesCollection.find({ userId: email }, { projection: { challengeId: 1 } }).toArray();
+    for (const uc of ucs) await leaveChallenge(uc);
+    summary.userChallenges = ucs.length;
+
+    const regs = await eventRegistrationsCollection.find({ userId: email }).toArray();
+    const upcoming = new Set((await eventsCollection
+      .find({ _id: { $in: regs.map(r => r.eventId) }, date: { $gt: new Date() } }, { projection: { _id: 1 } })
+      .toArray()).map(ev => String(ev._id)));
+    for (const reg of regs) {
+      const removed = await eventRegistrationsCollection.deleteOne({ _id: reg._id });
+      if (removed.deletedCount && reg.status === 'Registered' && upcoming.has(String(reg.eventId))) {
+        await releaseEventSeat(reg.eventId);
+        await promoteFromWaitlist(reg.eventId);
+      }
+    }
+    summary.eventRegistrations = regs.length;
+
+    // teams: captaincy passes to the longest-standing member; a team left empty is disbanded
+    const teams = await teamsCollection.find({ members: email }).toArray();
+    for (const team of teams) {
+      const others = team.members.filter(m => m !== email);
+      if (!others.length) await disbandTeam(team);
+      else {
+        if (team.captain === email) await teamsCollection.updateOne({ _id: team._id, captain: email }, { $set: { captain: others[0] } });
+        await removeTeamMember(team, email);
+      }
+    }
+
+    // follow counters of the people on the other side, moved only for edges we removed
+    const follows = await followsCollection.find({ $or: [{ follower: email }, { followee: email }] }).toArray();
+    for (const f of follows) {
+      const removed = await followsCollection.deleteOne({ _id: f._id });
+      if (!removed.deletedCount) continue;
+      if (f.follower === email) await usersCollection.updateOne({ email: f.followee }, { $inc: { followersCount: -1 } });
+      else await usersCollection.updateOne({ email: f.follower }, { $inc: { followingCount: -1 } });
+    }
+
+    // vote tallies on tips are kept; only the link to the voter goes
+    await Promise.all([
+      tipVotesCollection.deleteMany({ userId: email }),
+      pointsLedgerCollection.deleteMany({ userId: email }),
+      userBadgesCollection.deleteMany({ userId: email }),
+      notificationsCollection.deleteMany({ userId: email }),
+      activitiesCollection.deleteMany({ actor: email }),
+      teamInvitesCollection.deleteMany({ email }),
+    ]);
+
+    const result = await usersCollection.deleteOne({ email });
+    return { deleted: result.deletedCount > 0, alias, summary };
+  }
+
+  // delete my account; body { confirm: "<my email>" }
+  app.delete('/api/users/me', requireAuth, async (req, res) => {
+    try {
+      if (!req.body || req.body.confirm !== req.user.email) {
+        return sendValidationErrors(res, [{ field: 'confirm', message: 'confirm must be your email address' }]);
+      }
+      const { deleted, summary } = await deleteAccount(req.user.email);
+      if (!deleted) return res.status(404).json({ message: 'User not found' });
+      // the sign-in identity itself lives with the auth provider
+      res.json({ success: true, message: 'Account deleted', summary });
+    } catch (err) {
+      console.error('DELETE /api/users/me error:', err);
+      res.status(500).json({ message: 'Failed to delete account', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     FOLLOWS & ACTIVITY FEED
+  ------------------------- */
+
+  // follow a user
+  app.post('/api/users/:email/follow', requireAuth, async (req, res) => {
+    try {
+      const follower = req.user.email;
+      const followee = req.params.email;
+      if (followee === follower) return sendValidationErrors(res, [{ field: 'email', message: 'You cannot follow yourself' }]);
+      if (!(await usersCollection.countDocuments({ email: followee }, { limit: 1 }))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      let created = false;
+      try {
+        const result = await followsCollection.updateOne(
+          { follower, followee },
+          { $setOnInsert: { follower, followee, createdAt: new Date() } },
+          { upsert: true }
+        );
+        created = !!result.upsertedCount;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+      if (!created) return res.status(200).json({ message: 'Already following' });
+
+      await Promise.all([
+        usersCollection.updateOne({ email: follower }, { $inc: { followingCount: 1 } }),
+        usersCollection.updateOne({ email: followee }, { $inc: { followersCount: 1 } }),
+      ]);
+      await notifySafely(followee, 'new_follower', {
+        title: 'You have a new follower',
+        ref: { type: 'user', id: follower },
+        actor: follower,
+      });
+      res.status(201).json({ success: true, message: 'Following' });
+    } catch (err) {
+      console.error('POST /api/users/:email/follow error:', err);
+      res.status(500).json({ message: 'Failed to follow user', error: err.message });
+    }
+  });
+
+  // unfollow a user
+  app.delete('/api/users/:email/follow', requireAuth, async (req, res) => {
+    try {
+      const follower = req.user.email;
+      const followee = req.params.email;
+      const result = await followsCollection.deleteOne({ follower, followee });
+      if (!result.deletedCount) return res.status(404).json({ message: 'Not following this user' });
+
+      await Promise.all([
+        usersCollection.updateOne({ email: follower }, { $inc: { followingCount: -1 } }),
+        usersCollection.updateOne({ email: followee }, { $inc: { followersCount: -1 } }),
+      ]);
+      res.json({ success: true, message: 'Unfollowed' });
+    } catch (err) {
+      console.error('DELETE /api/users/:email/follow error:', err);
+      res.status(500).json({ message: 'Failed to unfollow user', error: err.message });
+    }
+  });
+
+  // followers / following, newest first: ?limit&cursor|before
+  for (const [path, field, other] of [['followers', 'followee', 'follower'], ['following', 'follower', 'followee']]) {
+    app.get(`/api/users/:email/${path}`, async (req, res) => {
+      try {
+        const paging = readCursorParams(req.query, { field: 'createdAt' });
+        if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+        const { items, next, prev } = await keysetPage(followsCollection, { [field]: req.params.email }, { field: 'createdAt', dir: -1 }, paging);
+        const users = await usersCollection
+          .find({ email: { $in: items.map(f => f[other]) } }, { projection: leaderboardUserProjection })
+          .toArray();
+        const byEmail = new Map(users.map(u => [u.email, u]));
+        res.json({
+          items: items.map(f => ({ _id: f._id, createdAt: f.createdAt, user: byEmail.get(f[other]) || { email: f[other] } })),
+          next,
+          prev,
+        });
+      } catch (err) {
+        console.error(`GET /api/users/:email/${path} error:`, err);
+        res.status(500).json({ message: `Failed to get ${path}`, error: err.message });
+      }
+    });
+  }
+
+  // attach actor profiles to activity entries
+  async function withActors(items) {
+    const users = await usersCollection
+      .find({ email: { $in: [...new Set(items.map(a => a.actor))] } }, { projection: leaderboardUserProjection })
+      .toArray();
+    const byEmail = new Map(users.map(u => [u.email, u]));
+    return items.map(a => ({ ...a, actorProfile: byEmail.get(a.actor) || { email: a.actor } }));
+  }
+
+  // activity from people I follow, newest first: ?type&limit&cursor|before
+  app.get('/api/feed', requireAuth, async (req, res) => {
+    try {
+      const paging = readCursorParams(req.query, { field: 'createdAt' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const following = await followsCollection
+        .find({ follower: req.user.email }, { projection: { followee: 1 } })
+        .sort({ createdAt: -1 })
+        .limit(FEED_MAX_FOLLOWING)
+        .toArray();
+      if (!following.length) return res.json({ items: [], next: null, prev: null });
+
+      let q = await sharedActivityQuery(following.map(f => f.followee));
+      if (req.query.type) q = { $and: [q, { type: listFilter(req.query.type) }] };
+
+      const { items, next, prev } = await keysetPage(activitiesCollection, q, { field: 'createdAt', dir: -1 }, paging);
+      res.json({ items: await withActors(items), next, prev });
+    } catch (err) {
+      console.error('GET /api/feed error:', err);
+      res.status(500).json({ message: 'Failed to get feed', error: err.message });
+    }
+  });
+
+  // one user's activity; others only see what the user shares
+  app.get('/api/users/:email/activity', optionalAuth, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const paging = readCursorParams(req.query, { field: 'createdAt' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const q = req.user && req.user.email === email ? { actor: email } : await sharedActivityQuery([email]);
+      const { items, next, prev } = await keysetPage(activitiesCollection, q, { field: 'createdAt', dir: -1 }, paging);
+      res.json({ items, next, prev });
+    } catch (err) {
+      console.error('GET /api/users/:email/activity error:', err);
+      res.status(500).json({ message: 'Failed to get activity', error: err.message });
+    }
+  });
+
+  // which of my activity types followers can see (all shared by default)
+  app.get('/api/activity/preferences', requireAuth, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ email: req.user.email }, { projection: { activitySharing: 1 } });
+      const prefs = (user && user.activitySharing) || {};
+      res.json({
+        items: Object.entries(ACTIVITY_TYPES).map(([type, description]) => ({ type, description, shared: prefs[type] !== false })),
+      });
+    } catch (err) {
+      console.error('GET /api/activity/preferences error:', err);
+      res.status(500).json({ message: 'Failed to get activity preferences', error: err.message });
+    }
+  });
+
+  // body: { [type]: boolean }
+  app.put('/api/activity/preferences', requireAuth, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const errors = [];
+      const updates = {};
+      for (const [type, shared] of Object.entries(body)) {
+        if (!ACTIVITY_TYPES[type]) errors.push({ field: type, message: `${type} is not an activity type` });
+        else if (typeof shared !== 'boolean') errors.push({ field: type, message: `${type} must be true or false` });
+        else updates[`activitySharing.${type}`] = shared;
+      }
+      if (errors.length) return sendValidationErrors(res, errors);
+      if (!Object.keys(updates).length) return sendValidationErrors(res, [{ field: 'body', message: 'at least one preference is required' }]);
+
+      const result = await usersCollection.updateOne({ email: req.user.email }, { $set: updates });
+      if (!result.matchedCount) return res.status(404).json({ message: 'User not found' });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('PUT /api/activity/preferences error:', err);
+      res.status(500).json({ message: 'Failed to update activity preferences', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     TEAMS
+  ------------------------- */
+
+  // a team by id, or sends 404
+  async function loadTeam(req, res) {
+    const team = ObjectId.isValid(req.params.id) ? await teamsCollection.findOne({ _id: new ObjectId(req.params.id) }) : null;
+    if (!team) res.status(404).json({ message: 'Team not found' });
+    return team;
+  }
+
+  function isCaptain(team, user) {
+    return team.captain === user.email;
+  }
+
+  // Team totals for one challenge from its members' participations: how many
+  // are enrolled, average progress, finishers, check-in days and impact per metric type.
+  async function teamChallengeProgress(teamId, challengeIds) {
+    const rows = await userChallengesCollection.aggregate([
+      { $match: { teamId, challengeId: { $in: [...challengeIds, ...challengeIds.map(String)] } } },
+      {
+        $facet: {
+          progress: [{
+            $group: {
+              _id: '$challengeId',
+              members: { $sum: 1 },
+              avgProgress: { $avg: { $ifNull: ['$progress', 0] } },
+              finished: { $sum: { $cond: [{ $eq: ['$status', 'Finished'] }, 1, 0] } },
+              checkInDays: { $sum: { $ifNull: ['$checkInDays', 0] } },
+            },
+          }],
+          impact: [
+            { $unwind: '$progressLogs' },
+            { $match: { 'progressLogs.metricType': { $exists: true } } },
+            { $group: { _id: { challengeId: '$challengeId', type: '$progressLogs.metricType' }, total: { $sum: '$progressLogs.baseValue' } } },
+          ],
+        },
+      },
+    ]).toArray();
+
+    const byChallenge = {};
+    for (const row of rows[0].progress) {
+      const { _id, avgProgress, ...rest } = row;
+      byChallenge[String(_id)] = { ...rest, avgProgress: Math.round(avgProgress), impactTotals: {} };
+    }
+    for (const row of rows[0].impact) {
+      const entry = byChallenge[String(row._id.challengeId)];
+      const def = METRIC_TYPES[row._id.type];
+      if (entry && def) entry.impactTotals[row._id.type] = { label: def.label, unit: def.baseUnit, total: row.total };
+    }
+    return byChallenge;
+  }
+
+  // enrol a new member in the team's challenges that are still running
+  async function enrollInTeamChallenges(team, userId) {
+    const joined = await teamChallengesCollection.find({ teamId: team._id }, { projection: { challengeId: 1 } }).toArray();
+    if (!joined.length) return;
+    const challenges = await challengesCollection.find({ _id: { $in: joined.map(tc => tc.challengeId) }, ...NOT_DELETED }).toArray();
+    for (const challenge of challenges.filter(ch => !challengeHasEnded(ch))) {
+      await enrollInChallenge(userId, challenge, { teamId: team._id });
+    }
+  }
+
+  // delete a team and its invites and challenge links; members keep their participations
+  async function disbandTeam(team) {
+    const result = await teamsCollection.deleteOne({ _id: team._id });
+    await Promise.all([
+      teamInvitesCollection.deleteMany({ teamId: team._id }),
+      teamChallengesCollection.deleteMany({ teamId: team._id }),
+      userChallengesCollection.updateMany({ teamId: team._id }, { $unset: { teamId: '' } }),
+    ]);
+    return result.deletedCount;
+  }
+
+  // drop a member; their participations stay but no longer count for the team
+  async function removeTeamMember(team, userId) {
+    await teamsCollection.updateOne({ _id: team._id }, { $pull: { members: userId } });
+    await userChallengesCollection.updateMany({ teamId: team._id, userId }, { $unset: { teamId: '' } });
+  }
+
+  // list teams by name: ?mine=true&q&limit&cursor|before
+  app.get('/api/teams', optionalAuth, async (req, res) => {
+    try {
+      const q = {};
+      if (req.query.mine === 'true') {
+        if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+        q.members = req.user.email;
+      }
+      if (req.query.q) q.name = containsFilter(req.query.q);
+
+      const paging = readCursorParams(req.query, { field: 'name' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const projection = { name: 1, description: 1, captain: 1, memberCount: { $size: '$members' }, createdAt: 1 };
+      const { items, next, prev } = await keysetPage(teamsCollection, q, { field: 'name', dir: 1 }, paging, { projection });
+      res.json({ items, next, prev });
+    } catch (err) {
+      console.error('GET /api/teams error:', err);
+      res.status(500).json({ message: 'Failed to get teams', error: err.message });
+    }
+  });
+
+  // create a team; the creator is its captain
+  app.post('/api/teams', requireAuth, validateBody(SCHEMAS.team), async (req, res) => {
+    try {
+      const team = {
+        ...req.body,
+        nameKey: req.body.name.toLowerCase(),
+        captain: req.user.email,
+        members: [req.user.email],
+        createdBy: req.user.email,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await teamsCollection.insertOne(team);
+      res.status(201).json({ success: true, teamId: result.insertedId, team: { _id: result.insertedId, ...team } });
+    } catch (err) {
+      if (err.code === 11000) return sendValidationErrors(res, [{ field: 'name', message: 'A team with this name already exists' }]);
+      console.error('POST /api/teams error:', err);
+      res.status(500).json({ message: 'Failed to create team', error: err.message });
+    }
+  });
+
+  // team with member profiles; the captain also sees pending invites
+  app.get('/api/teams/:id', optionalAuth, async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const members = await usersCollection
+        .find({ email: { $in: team.members } }, { projection: leaderboardUserProjection })
+        .toArray();
+      const byEmail = new Map(members.map(u => [u.email, u]));
+      const result = {
+        ...team,
+        members: team.members.map(email => ({ ...(byEmail.get(email) || { email }), captain: email === team.captain })),
+      };
+      if (req.user && isCaptain(team, req.user)) {
+        result.invites = await teamInvitesCollection.find({ teamId: team._id, status: 'pending' }).sort({ createdAt: -1 }).toArray();
+      }
+      res.json(result);
+    } catch (err) {
+      console.error('GET /api/teams/:id error:', err);
+      res.status(500).json({ message: 'Failed to get team', error: err.message });
+    }
+  });
+
+  // update name/description (captain)
+  app.patch('/api/teams/:id', requireAuth, validateBody(SCHEMAS.team, { partial: true }), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user)) return res.status(403).json({ message: 'Forbidden: only the captain can update the team' });
+
+      const updatedData = { ...req.body, updatedAt: new Date() };
+      if (req.body.name) updatedData.nameKey = req.body.name.toLowerCase();
+      const result = await teamsCollection.updateOne({ _id: team._id }, { $set: updatedData });
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    } catch (err) {
+      if (err.code === 11000) return sendValidationErrors(res, [{ field: 'name', message: 'A team with this name already exists' }]);
+      console.error('PATCH /api/teams/:id error:', err);
+      res.status(500).json({ message: 'Failed to update team', error: err.message });
+    }
+  });
+
+  // disband a team (captain or moderator); members keep their individual participations
+  app.delete('/api/teams/:id', requireAuth, async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user) && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only the captain can disband the team' });
+      }
+
+      const deletedCount = await disbandTeam(team);
+      res.json({ success: true, deletedCount });
+    } catch (err) {
+      console.error('DELETE /api/teams/:id error:', err);
+      res.status(500).json({ message: 'Failed to delete team', error: err.message });
+    }
+  });
+
+  // hand the captaincy to another member (captain)
+  app.put('/api/teams/:id/captain', requireAuth, validateBody(SCHEMAS.teamMember), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user)) return res.status(403).json({ message: 'Forbidden: only the captain can transfer captaincy' });
+      if (!team.members.includes(req.body.email)) return sendValidationErrors(res, [{ field: 'email', message: 'New captain must be a team member' }]);
+
+      // guarded by the current captain so two transfers can't both win
+      const result = await teamsCollection.updateOne(
+        { _id: team._id, captain: req.user.email },
+        { $set: { captain: req.body.email, updatedAt: new Date() } }
+      );
+      if (!result.modifiedCount) return res.status(409).json({ message: 'Captaincy has already changed' });
+      res.json({ success: true, captain: req.body.email });
+    } catch (err) {
+      console.error('PUT /api/teams/:id/captain error:', err);
+      res.status(500).json({ message: 'Failed to transfer captaincy', error: err.message });
+    }
+  });
+
+  // remove a member (captain) or leave (self); the captain hands over first
+  app.delete('/api/teams/:id/members/:email', requireAuth, async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      const email = req.params.email;
+      if (email !== req.user.email && !isCaptain(team, req.user)) {
+        return res.status(403).json({ message: 'Forbidden: only the captain can remove members' });
+      }
+      if (!team.members.includes(email)) return res.status(404).json({ message: 'Not a member of this team' });
+      if (email === team.captain) {
+        return res.status(409).json({ message: 'The captain must transfer captaincy (or disband the team) before leaving' });
+      }
 
-// Attach routes once (idempotent)
-async function attachRoutes() {
-  if (app.locals._routesAttached) return;
-  app.locals._routesAttached = true;
+      await removeTeamMember(team, email);
+      res.json({ success: true, message: email === req.user.email ? 'Left team' : 'Member removed' });
+    } catch (err) {
+      console.error('DELETE /api/teams/:id/members/:email error:', err);
+      res.status(500).json({ message: 'Failed to remove member', error: err.message });
+    }
+  });
 
-  const { db } = await getDb();
+  // invite a user by email (captain)
+  app.post('/api/teams/:id/invites', requireAuth, validateBody(SCHEMAS.teamMember), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user)) return res.status(403).json({ message: 'Forbidden: only the captain can invite' });
 
-  const challengesCollection = db.collection('challenges');
-  const tipsCollection = db.collection('tips');
-  const eventsCollection = db.collection('events');
-  const usersCollection = db.collection('users');
-  const userChallengesCollection = db.collection('userChallenges');
+      const email = req.body.email;
+      if (team.members.includes(email)) return res.status(409).json({ message: 'Already a member' });
+      if (team.members.length >= TEAM_MAX_MEMBERS) return res.status(409).json({ message: `Teams are limited to ${TEAM_MAX_MEMBERS} members` });
 
-  /* -------------------------
-     CHALLENGES
-  ------------------------- */
+      const invite = { teamId: team._id, teamName: team.name, email, invitedBy: req.user.email, status: 'pending', createdAt: new Date() };
+      try {
+        const result = await teamInvitesCollection.insertOne(invite);
+        invite._id = result.insertedId;
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: 'Already invited' });
+        throw err;
+      }
 
-  // GET list with filters, pagination, sort
-  app.get('/api/challenges', async (req, res) => {
+      await notifySafely(email, 'team_invite', {
+        title: `You're invited to join "${team.name}"`,
+        ref: { type: 'teamInvite', id: invite._id },
+        actor: req.user.email,
+      });
+      res.status(201).json({ success: true, invite });
+    } catch (err) {
+      console.error('POST /api/teams/:id/invites error:', err);
+      res.status(500).json({ message: 'Failed to invite', error: err.message });
+    }
+  });
+
+  // withdraw a pending invite (captain)
+  app.delete('/api/teams/:id/invites/:inviteId', requireAuth, async (req, res) => {
     try {
-      const {
-        category,
-        startDate_gte,
-        endDate_lte,
-        participants_gte,
-        participants_lte,
-        search,
-        page = 1,
-        limit = 12,
-        sort = '-createdAt',
-        status, // optional: 'ongoing'
-      } = req.query;
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user)) return res.status(403).json({ message: 'Forbidden: only the captain can revoke invites' });
+      if (!ObjectId.isValid(req.params.inviteId)) return res.status(404).json({ message: 'Invite not found' });
 
-      const q = {};
+      const result = await teamInvitesCollection.updateOne(
+        { _id: new ObjectId(req.params.inviteId), teamId: team._id, status: 'pending' },
+        { $set: { status: 'revoked', respondedAt: new Date() } }
+      );
+      if (!result.modifiedCount) return res.status(404).json({ message: 'Invite not found' });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('DELETE /api/teams/:id/invites/:inviteId error:', err);
+      res.status(500).json({ message: 'Failed to revoke invite', error: err.message });
+    }
+  });
 
-      if (category) q.category = { $in: String(category).split(',').map(s => s.trim()) };
-      if (startDate_gte) q.startDate = { ...(q.startDate || {}), $gte: new Date(startDate_gte) };
-      if (endDate_lte) q.endDate = { ...(q.endDate || {}), $lte: new Date(endDate_lte) };
-      if (participants_gte || participants_lte) {
-        q.participants = {};
-        if (participants_gte) q.participants.$gte = Number(participants_gte);
-        if (participants_lte) q.participants.$lte = Number(participants_lte);
+  // my pending invites
+  app.get('/api/team-invites/me', requireAuth, async (req, res) => {
+    try {
+      const items = await teamInvitesCollection.find({ email: req.user.email, status: 'pending' }).sort({ createdAt: -1 }).toArray();
+      res.json({ items });
+    } catch (err) {
+      console.error('GET /api/team-invites/me error:', err);
+      res.status(500).json({ message: 'Failed to get invites', error: err.message });
+    }
+  });
+
+  // accept or decline an invite addressed to me
+  app.post('/api/team-invites/:id/:action', requireAuth, async (req, res) => {
+    try {
+      const { id, action } = req.params;
+      if (action !== 'accept' && action !== 'decline') return res.status(404).json({ message: 'Route not found' });
+      if (!ObjectId.isValid(id)) return res.status(404).json({ message: 'Invite not found' });
+
+      const invite = await teamInvitesCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), email: req.user.email, status: 'pending' },
+        { $set: { status: action === 'accept' ? 'accepted' : 'declined', respondedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      if (!invite) return res.status(404).json({ message: 'Invite not found' });
+      if (action === 'decline') return res.json({ success: true, invite });
+
+      // the size guard lives in the filter so concurrent accepts can't overfill the team
+      const team = await teamsCollection.findOneAndUpdate(
+        { _id: invite.teamId, [`members.${TEAM_MAX_MEMBERS - 1}`]: { $exists: false } },
+        { $addToSet: { members: req.user.email }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      if (!team) {
+        await teamInvitesCollection.updateOne({ _id: invite._id }, { $set: { status: 'pending' }, $unset: { respondedAt: '' } });
+        const exists = await teamsCollection.countDocuments({ _id: invite.teamId }, { limit: 1 });
+        return exists
+          ? res.status(409).json({ message: `Teams are limited to ${TEAM_MAX_MEMBERS} members` })
+          : res.status(404).json({ message: 'Team not found' });
       }
-      if (search) {
-        // basic safeguard: limit regex length
-        const s = String(search).slice(0, 120);
-        q.$or = [{ title: new RegExp(s, 'i') }, { description: new RegExp(s, 'i') }];
+
+      await enrollInTeamChallenges(team, req.user.email);
+      res.json({ success: true, invite, teamId: team._id });
+    } catch (err) {
+      console.error('POST /api/team-invites/:id/:action error:', err);
+      res.status(500).json({ message: 'Failed to respond to invite', error: err.message });
+    }
+  });
+
+  // join a challenge as a team (captain): every member is enrolled and counts towards the team
+  app.post('/api/teams/:id/challenges/:challengeId', requireAuth, async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (!isCaptain(team, req.user)) return res.status(403).json({ message: 'Forbidden: only the captain can join challenges for the team' });
+
+      const challenge = await challengesCollection.findOne({ ...idQuery(req.params.challengeId), ...NOT_DELETED });
+      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+      if (challengeHasEnded(challenge)) return res.status(400).json({ message: 'Challenge has ended' });
+
+      try {
+        await teamChallengesCollection.insertOne({ teamId: team._id, challengeId: challenge._id, joinedBy: req.user.email, joinedAt: new Date() });
+      } catch (err) {
+        if (err.code === 11000) return res.status(200).json({ message: 'Team already joined' });
+        throw err;
       }
 
-      if (status === 'ongoing') {
-        const now = new Date();
-        q.startDate = { ...(q.startDate || {}), $lte: now };
-        q.endDate = { ...(q.endDate || {}), $gte: now };
+      let enrolled = 0;
+      for (const userId of team.members) {
+        const { created } = await enrollInChallenge(userId, challenge, { teamId: team._id });
+        if (created) enrolled++;
       }
+      await notifyMany(team.members.filter(u => u !== req.user.email), 'team_challenge_joined', {
+        title: `Your team joined "${challenge.title}"`,
+        body: `${team.name} is taking on this challenge together.`,
+        ref: { type: 'challenge', id: challenge._id },
+      }).catch(err => console.error('notify error:', err));
 
-      const skip = (Number(page) - 1) * Number(limit);
-      const sortObj = {};
-      if (sort) {
-        if (sort.startsWith('-')) sortObj[sort.slice(1)] = -1;
-        else sortObj[sort] = 1;
-      } else sortObj.createdAt = -1;
+      res.status(201).json({ success: true, teamId: team._id, challengeId: challenge._id, enrolled });
+    } catch (err) {
+      console.error('POST /api/teams/:id/challenges/:challengeId error:', err);
+      res.status(500).json({ message: 'Failed to join challenge as team', error: err.message });
+    }
+  });
+
+  // the team's challenges with aggregated progress and impact
+  app.get('/api/teams/:id/challenges', async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
 
-      const cursor = challengesCollection.find(q).sort(sortObj).skip(skip).limit(Number(limit));
-      const items = await cursor.toArray();
-      const total = await challengesCollection.countDocuments(q);
+      const joined = await teamChallengesCollection.find({ teamId: team._id }).sort({ joinedAt: -1 }).toArray();
+      const ids = joined.map(tc => tc.challengeId);
+      const [challenges, progress] = await Promise.all([
+        challengesCollection.find({ _id: { $in: ids }, ...NOT_DELETED }, { projection: { title: 1, category: 1, imageUrl: 1, startDate: 1, endDate: 1, duration: 1, metric: 1, status: 1 } }).toArray(),
+        teamChallengeProgress(team._id, ids),
+      ]);
+      const byId = new Map(challenges.map(ch => [String(ch._id), ch]));
+      const empty = { members: 0, avgProgress: 0, finished: 0, checkInDays: 0, impactTotals: {} };
 
-      res.json({ items, total, page: Number(page), pages: Math.ceil(total / Number(limit)) });
+      const items = joined.filter(tc => byId.has(String(tc.challengeId))).map(tc => ({
+        challenge: byId.get(String(tc.challengeId)),
+        joinedAt: tc.joinedAt,
+        ...(progress[String(tc.challengeId)] || empty),
+      }));
+      res.json({ items });
     } catch (err) {
-      console.error('GET /api/challenges error:', err);
-      res.status(500).json({ message: 'Failed to get challenges', error: err.message });
+      console.error('GET /api/teams/:id/challenges error:', err);
+      res.status(500).json({ message: 'Failed to get team challenges', error: err.message });
     }
   });
 
-  // Robust GET by id — supports ObjectId and string _id fallback
-  app.get('/api/challenges/:id', async (req, res) => {
-    const rawId = req.params.id;
+  /* -------------------------
+     SEARCH
+  ------------------------- */
+
+  const searchSources = {
+    challenge: { collection: challengesCollection, titleField: 'title', bodyField: 'description' },
+    tip: { collection: tipsCollection, titleField: 'title', bodyField: 'content' },
+    event: { collection: eventsCollection, titleField: 'title', bodyField: 'description' },
+  };
+
+  // unified relevance-ranked search: ?q=&types=challenge,tip,event&page&limit
+  app.get('/api/search', async (req, res) => {
     try {
-      let query = null;
+      const q = String(req.query.q || '').trim().slice(0, SEARCH_MAX_QUERY);
+      if (!q) return res.status(400).json({ message: 'q is required' });
 
-      if (ObjectId.isValid(rawId) && String(new ObjectId(rawId)) === rawId) {
-        query = { _id: new ObjectId(rawId) };
+      const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : SEARCH_TYPES;
+      const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+      if (unknown.length) return res.status(400).json({ message: `types must be any of ${SEARCH_TYPES.join(', ')}` });
+
+      const page = Math.max(1, Number(req.query.page) || 1);
+      const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+      const skip = (page - 1) * limit;
+      if (skip + limit > SEARCH_MAX_WINDOW) return res.status(400).json({ message: `Only the first ${SEARCH_MAX_WINDOW} results can be paged through` });
+
+      // take the top (skip + limit) of each type, then merge by score
+      const filter = { $text: { $search: q }, ...NOT_DELETED };
+      const perType = await Promise.all(types.map(async (type) => {
+        const { collection } = searchSources[type];
+        const [docs, count] = await Promise.all([
+          collection.find(filter, { projection: { score: { $meta: 'textScore' } } })
+            .sort({ score: { $meta: 'textScore' } }).limit(skip + limit).toArray(),
+          collection.countDocuments(filter),
+        ]);
+        return { type, docs, count };
+      }));
+
+      const terms = searchTerms(q);
+      const merged = perType
+        .flatMap(({ type, docs }) => docs.map(doc => ({ type, doc })))
+        .sort((a, b) => b.doc.score - a.doc.score)
+        .slice(skip, skip + limit)
+        .map(({ type, doc }) => {
+          const { titleField, bodyField } = searchSources[type];
+          const { score, ...rest } = doc;
+          return {
+            type,
+            _id: doc._id,
+            score,
+            highlights: {
+              title: highlightSnippet(doc[titleField], terms, 200),
+              snippet: highlightSnippet(doc[bodyField], terms),
+            },
+            item: rest,
+          };
+        });
+
+      const counts = Object.fromEntries(perType.map(({ type, count }) => [type, count]));
+      const total = perType.reduce((sum, { count }) => sum + count, 0);
+      res.json({ q, items: merged, total, counts, page, pages: Math.ceil(Math.min(total, SEARCH_MAX_WINDOW) / limit) });
+    } catch (err) {
+      console.error('GET /api/search error:', err);
+      res.status(500).json({ message: 'Search failed', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     LEADERBOARDS
+  ------------------------- */
+
+  const leaderboardUserProjection = { _id: 0, email: 1, name: 1, photoURL: 1 };
+
+  // windowed totals come from the ledger; ties break on email ascending
+  function windowedPointsPipeline(since) {
+    return [
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$userId', points: { $sum: '$points' } } },
+    ];
+  }
+
+  // EcoPoints leaderboard: ?window=all|weekly|monthly&page&limit
+  app.get('/api/leaderboard', optionalAuth, async (req, res) => {
+    try {
+      const window = String(req.query.window || 'all');
+      if (!LEADERBOARD_WINDOWS.includes(window)) {
+        return res.status(400).json({ message: `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+      }
+      const page = Math.max(1, Number(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      const skip = (page - 1) * limit;
+      const since = leaderboardWindowStart(window);
+
+      let items;
+      let total;
+      let me = null;
+
+      if (!since) {
+        // ranks here are index-backed counts on users.ecoPoints
+        const q = { ecoPoints: { $gt: 0 } };
+        let rows;
+        [rows, total] = await Promise.all([
+          usersCollection.find(q, { projection: { ...leaderboardUserProjection, ecoPoints: 1 } })
+            .sort({ ecoPoints: -1, email: 1 }).skip(skip).limit(limit).toArray(),
+          usersCollection.countDocuments(q),
+        ]);
+        items = rows.map(({ ecoPoints, ...user }) => ({ ...user, points: ecoPoints }));
+        if (items.length) {
+          const ahead = await usersCollection.countDocuments({ ecoPoints: { $gt: items[0].points } });
+          items = assignRanks(items, r => r.points, ahead + 1, skip);
+        }
+
+        if (req.user) {
+          const mine = await usersCollection.findOne({ email: req.user.email }, { projection: { ecoPoints: 1 } });
+          const points = (mine && mine.ecoPoints) || 0;
+          if (points > 0) me = { points, rank: (await usersCollection.countDocuments({ ecoPoints: { $gt: points } })) + 1 };
+        }
       } else {
-        query = {
-          $or: [
-            { _id: rawId },
-            { id: rawId },
-            { 'meta.id': rawId },
-          ]
-        };
+        // window totals are summed once; the page, the total and the caller's rank all come from that pass
+        const [facet] = await pointsLedgerCollection.aggregate([
+          ...windowedPointsPipeline(since),
+          { $match: { points: { $gt: 0 } } },
+          ...rankedBy('points', { _id: 1 }),
+          {
+            $facet: {
+              items: [
+                { $skip: skip },
+                { $limit: limit },
+                { $lookup: { from: 'users', localField: '_id', foreignField: 'email', as: 'user', pipeline: [{ $project: leaderboardUserProjection }] } },
+              ],
+              total: [{ $count: 'count' }],
+              me: [{ $match: { _id: req.user ? req.user.email : null } }],
+            },
+          },
+        ]).toArray();
+        items = facet.items.map(r => ({ rank: r.rank, ...(r.user[0] || { email: r._id }), points: r.points }));
+        total = (facet.total[0] && facet.total[0].count) || 0;
+        if (facet.me[0]) me = { points: facet.me[0].points, rank: facet.me[0].rank };
       }
 
-      const doc = await challengesCollection.findOne(query);
-      if (!doc) return res.status(404).json({ message: 'Challenge not found' });
-      res.json(doc);
+      res.json({ window, since, items, total, page, pages: Math.ceil(total / limit), me });
     } catch (err) {
-      console.error('GET /api/challenges/:id error:', err);
-      res.status(500).json({ message: 'Failed to get challenge', error: err.message });
+      console.error('GET /api/leaderboard error:', err);
+      res.status(500).json({ message: 'Failed to get leaderboard', error: err.message });
     }
   });
 
-  // Create challenge (protected)
-  app.post('/api/challenges', requireAuth, async (req, res) => {
+  // per-challenge leaderboard by progress; ties break on userId ascending
+  app.get('/api/leaderboard/challenges/:id', optionalAuth, async (req, res) => {
     try {
-      const body = req.body || {};
-      const required = ['title', 'category', 'description', 'duration', 'target', 'imageUrl', 'startDate', 'endDate'];
-      for (const f of required) {
-        if (!body[f]) return res.status(400).json({ message: `${f} is required` });
+      const challenge = await challengesCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { _id: 1, title: 1 } });
+      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+
+      const page = Math.max(1, Number(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      const skip = (page - 1) * limit;
+      const q = { challengeId: challengeIdMatch(challenge._id) };
+
+      const [rows, total] = await Promise.all([
+        userChallengesCollection.aggregate([
+          { $match: q },
+          { $sort: { progress: -1, userId: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $lookup: { from: 'users', localField: 'userId', foreignField: 'email', as: 'user', pipeline: [{ $project: leaderboardUserProjection }] } },
+          { $project: { _id: 0, userId: 1, progress: 1, status: 1, user: 1 } },
+        ]).toArray(),
+        userChallengesCollection.countDocuments(q),
+      ]);
+
+      let items = rows.map(r => ({ ...(r.user[0] || { email: r.userId }), progress: r.progress || 0, status: r.status }));
+      if (items.length) {
+        const ahead = await userChallengesCollection.countDocuments({ ...q, progress: { $gt: items[0].progress } });
+        items = assignRanks(items, r => r.progress, ahead + 1, skip);
       }
 
-      if (new Date(body.endDate) <= new Date(body.startDate)) {
-        return res.status(400).json({ message: 'endDate must be after startDate' });
+      let me = null;
+      if (req.user) {
+        const mine = await userChallengesCollection.findOne({ ...q, userId: req.user.email }, { projection: { progress: 1 } });
+        if (mine) {
+          const progress = mine.progress || 0;
+          me = { progress, rank: (await userChallengesCollection.countDocuments({ ...q, progress: { $gt: progress } })) + 1 };
+        }
       }
 
-      const newChallenge = {
-        title: String(body.title),
-        category: String(body.category),
-        description: String(body.description),
-        duration: Number(body.duration),
-        target: String(body.target),
-        participants: Number(body.participants) || 0,
-        impactMetric: body.impactMetric || '',
-        createdBy: req.user.email,
-        startDate: new Date(body.startDate),
-        endDate: new Date(body.endDate),
-        imageUrl: String(body.imageUrl),
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
+      res.json({ challenge, items, total, page, pages: Math.ceil(total / limit), me });
+    } catch (err) {
+      console.error('GET /api/leaderboard/challenges/:id error:', err);
+      res.status(500).json({ message: 'Failed to get challenge leaderboard', error: err.message });
+    }
+  });
 
-      const result = await challengesCollection.insertOne(newChallenge);
-      res.status(201).json({ success: true, challengeId: result.insertedId, challenge: { _id: result.insertedId, ...newChallenge } });
+  // Team points are the sum of current members' points (EcoPoints or ledger totals in the window).
+  function teamPointsPipeline(since) {
+    const memberPoints = since
+      ? {
+          $lookup: {
+            from: 'pointsLedger',
+            let: { member: '$members' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$userId', '$$member'] }, createdAt: { $gte: since } } },
+              { $group: { _id: null, points: { $sum: '$points' } } },
+            ],
+            as: 'p',
+          },
+        }
+      : { $lookup: { from: 'users', localField: 'members', foreignField: 'email', as: 'p', pipeline: [{ $project: { points: '$ecoPoints' } }] } };
+    return [
+      { $unwind: '$members' },
+      memberPoints,
+      { $group: { _id: '$_id', name: { $first: '$name' }, memberCount: { $sum: 1 }, points: { $sum: { $ifNull: [{ $first: '$p.points' }, 0] } } } },
+    ];
+  }
+
+  // team leaderboard: ?window=all|weekly|monthly&page&limit; ties break on team id
+  app.get('/api/leaderboard/teams', optionalAuth, async (req, res) => {
+    try {
+      const window = String(req.query.window || 'all');
+      if (!LEADERBOARD_WINDOWS.includes(window)) {
+        return res.status(400).json({ message: `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+      }
+      const page = Math.max(1, Number(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      const skip = (page - 1) * limit;
+      const since = leaderboardWindowStart(window);
+      const mine = req.user
+        ? (await teamsCollection.find({ members: req.user.email }, { projection: { _id: 1 } }).toArray()).map(t => t._id)
+        : [];
+
+      // one pass: the page, the total and the caller's teams with their ranks
+      const [facet] = await teamsCollection.aggregate([
+        ...teamPointsPipeline(since),
+        ...rankedBy('points', { _id: 1 }),
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }],
+            me: [{ $match: { _id: { $in: mine } } }],
+          },
+        },
+      ]).toArray();
+      const total = (facet.total[0] && facet.total[0].count) || 0;
+      const items = facet.items.map(({ _id, rank, ...row }) => ({ rank, teamId: _id, ...row }));
+      const me = req.user ? facet.me.map(t => ({ teamId: t._id, name: t.name, points: t.points, rank: t.rank })) : null;
+
+      res.json({ window, since, items, total, page, pages: Math.ceil(total / limit), me });
     } catch (err) {
-      console.error('POST /api/challenges error:', err);
-      res.status(500).json({ message: 'Failed to create challenge', error: err.message });
+      console.error('GET /api/leaderboard/teams error:', err);
+      res.status(500).json({ message: 'Failed to get team leaderboard', error: err.message });
     }
   });
 
-  // Update challenge (protected, owner only)
-  app.patch('/api/challenges/:id', requireAuth, async (req, res) => {
+  // per-challenge team leaderboard by average member progress; ties break on team id
+  app.get('/api/leaderboard/challenges/:id/teams', async (req, res) => {
     try {
-      const id = req.params.id;
-      let filter;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) filter = { _id: new ObjectId(id) };
-      else filter = { _id: id };
+      const challenge = await challengesCollection.findOne({ ...idQuery(req.params.id), ...NOT_DELETED }, { projection: { _id: 1, title: 1 } });
+      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
 
-      const existing = await challengesCollection.findOne(filter);
-      if (!existing) return res.status(404).json({ message: 'Challenge not found' });
-      if (existing.createdBy !== req.user.email) return res.status(403).json({ message: 'Forbidden: only owner can update' });
+      const page = Math.max(1, Number(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      const skip = (page - 1) * limit;
+      const pipeline = [
+        { $match: { challengeId: challengeIdMatch(challenge._id), teamId: { $exists: true } } },
+        { $group: { _id: '$teamId', avgProgress: { $avg: { $ifNull: ['$progress', 0] } }, members: { $sum: 1 } } },
+        { $set: { avgProgress: { $round: ['$avgProgress', 0] } } },
+      ];
 
-      const updatedData = { ...req.body, updatedAt: new Date() };
-      delete updatedData._id;
+      const [facet] = await userChallengesCollection.aggregate([
+        ...pipeline,
+        ...rankedBy('avgProgress', { _id: 1 }),
+        {
+          $facet: {
+            items: [
+              { $skip: skip },
+              { $limit: limit },
+              { $lookup: { from: 'teams', localField: '_id', foreignField: '_id', as: 'team', pipeline: [{ $project: { name: 1 } }] } },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).toArray();
+      const total = (facet.total[0] && facet.total[0].count) || 0;
 
-      const result = await challengesCollection.updateOne(filter, { $set: updatedData });
-      res.json({ success: true, modifiedCount: result.modifiedCount });
+      const items = facet.items.map(r => ({ rank: r.rank, teamId: r._id, name: r.team[0] ? r.team[0].name : null, avgProgress: r.avgProgress, members: r.members }));
+
+      res.json({ challenge, items, total, page, pages: Math.ceil(total / limit) });
     } catch (err) {
-      console.error('PATCH /api/challenges/:id error:', err);
-      res.status(500).json({ message: 'Error updating challenge', error: err.message });
+      console.error('GET /api/leaderboard/challenges/:id/teams error:', err);
+      res.status(500).json({ message: 'Failed to get team challenge leaderboard', error: err.message });
     }
   });
 
-  // Delete challenge (protected, owner only)
-  app.delete('/api/challenges/:id', requireAuth, async (req, res) => {
+  /* -------------------------
+     SOFT DELETE & RESTORE
+  ------------------------- */
+
+  function restoreDeadline(doc) {
+    return new Date(new Date(doc.deletedAt).getTime() + DELETED_RETENTION_DAYS * 86400000);
+  }
+
+  // Hide a challenge and archive its participations: progress stays visible to its
+  // owner but can't change. Participants are told. Returns false if already deleted.
+  async function softDeleteChallenge(challenge, actor) {
+    const now = new Date();
+    const result = await challengesCollection.updateOne({ _id: challenge._id, ...NOT_DELETED }, { $set: { deletedAt: now, deletedBy: actor } });
+    if (!result.modifiedCount) return false;
+
+    const open = { challengeId: challengeIdMatch(challenge._id), archivedAt: { $exists: false } };
+    const ucs = await userChallengesCollection.find(open, { projection: { userId: 1 } }).toArray();
+    await userChallengesCollection.updateMany(open, { $set: { archivedAt: now, archivedReason: 'challenge_deleted' } });
+    await notifyMany(ucs.map(uc => uc.userId).filter(u => u !== actor), 'challenge_deleted', {
+      title: `"${challenge.title}" was removed`,
+      body: 'Your progress is kept, but no more progress can be logged.',
+      ref: { type: 'challenge', id: challenge._id },
+    }).catch(err => console.error('notify error:', err));
+    await recordAuditSafely('challenges', challenge, null, actor);
+    return true;
+  }
+
+  // votes and comments stay, hidden along with the tip
+  async function softDeleteTip(tip, actor) {
+    const result = await tipsCollection.updateOne({ _id: tip._id, ...NOT_DELETED }, { $set: { deletedAt: new Date(), deletedBy: actor } });
+    if (!result.modifiedCount) return false;
+    await recordAuditSafely('tips', tip, null, actor);
+    return true;
+  }
+
+  const restorable = [
+    { path: 'challenges', collection: challengesCollection, label: 'Challenge', owner: 'createdBy' },
+    { path: 'tips', collection: tipsCollection, label: 'Tip', owner: 'author' },
+  ];
+
+  for (const { path, collection, label, owner } of restorable) {
+    // undo a delete within the retention period (owner, or a moderator; moderator removals need a moderator)
+    app.post(`/api/${path}/:id/restore`, requireAuth, async (req, res) => {
+      try {
+        const existing = await collection.findOne({ ...idQuery(req.params.id), deletedAt: { $exists: true } });
+        if (!existing) return res.status(404).json({ message: `Deleted ${label.toLowerCase()} not found` });
+        const removedByOwner = existing.deletedBy === existing[owner];
+        if (!hasRole(req.user, 'moderator') && !(removedByOwner && existing[owner] === req.user.email)) {
+          return res.status(403).json({ message: `Forbidden: only the owner or a moderator can restore this ${label.toLowerCase()}` });
+        }
+        if (restoreDeadline(existing) < new Date()) return res.status(410).json({ message: 'The restore window has passed' });
+
+        const result = await collection.updateOne(
+          { _id: existing._id, deletedAt: existing.deletedAt },
+          { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: new Date() } }
+        );
+        if (!result.modifiedCount) return res.status(409).json({ message: `${label} was restored or purged concurrently` });
+
+        if (path === 'challenges') {
+          await userChallengesCollection.updateMany(
+            { challengeId: challengeIdMatch(existing._id), archivedReason: 'challenge_deleted' },
+            { $unset: { archivedAt: '', archivedReason: '' } }
+          );
+        }
+        const { deletedAt, deletedBy, ...restored } = existing;
+        await recordAuditSafely(path, null, restored, req.user.email, { action: 'restore' });
+        res.json({ success: true, restoredId: existing._id });
+      } catch (err) {
+        console.error(`POST /api/${path}/:id/restore error:`, err);
+        res.status(500).json({ message: `Failed to restore ${label.toLowerCase()}`, error: err.message });
+      }
+    });
+  }
+
+  // my deleted challenges and tips that can still be restored (moderators: ?all=true for everyone's)
+  app.get('/api/trash', requireAuth, async (req, res) => {
     try {
-      const id = req.params.id;
-      let filter;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) filter = { _id: new ObjectId(id) };
-      else filter = { _id: id };
+      const all = req.query.all === 'true';
+      if (all && !hasRole(req.user, 'moderator')) return res.status(403).json({ message: 'Forbidden' });
+      const since = new Date(Date.now() - DELETED_RETENTION_DAYS * 86400000);
 
-      const existing = await challengesCollection.findOne(filter);
-      if (!existing) return res.status(404).json({ message: 'Challenge not found' });
-      if (existing.createdBy !== req.user.email) return res.status(403).json({ message: 'Forbidden: only owner can delete' });
+      const lists = await Promise.all(restorable.map(async ({ path, collection, owner }) => {
+        const q = { deletedAt: { $gte: since } };
+        if (!all) q[owner] = req.user.email;
+        const docs = await collection.find(q, { projection: { title: 1, [owner]: 1, deletedAt: 1, deletedBy: 1 } })
+          .sort({ deletedAt: -1 }).limit(200).toArray();
+        return docs.map(d => ({ type: path, ...d, restoreUntil: restoreDeadline(d) }));
+      }));
+      const items = lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+      res.json({ items, retentionDays: DELETED_RETENTION_DAYS });
+    } catch (err) {
+      console.error('GET /api/trash error:', err);
+      res.status(500).json({ message: 'Failed to get deleted items', error: err.message });
+    }
+  });
+
+  /* -------------------------
+     AUDIT LOG
+  ------------------------- */
+
+  // Append the next revision for a document. `before`/`after` are full documents
+  // (null on create/delete); plain updates that change no audited field are skipped.
+  async function recordAudit(collectionName, before, after, actor, { action, ...extra } = {}) {
+    const { fields, owner } = AUDITED[collectionName];
+    const changes = auditDiff(before, after, fields);
+    const kind = action || (!before ? 'create' : !after ? 'delete' : 'update');
+    if (kind === 'update' && !changes.length) return null;
+
+    const doc = after || before;
+    // revisions are unique per document, so a concurrent writer makes us retry with the next number
+    for (let attempt = 0; ; attempt++) {
+      const last = await auditLogCollection
+        .find({ collection: collectionName, docId: doc._id }, { projection: { revision: 1 } })
+        .sort({ revision: -1 })
+        .limit(1)
+        .next();
+      const entry = {
+        collection: collectionName,
+        docId: doc._id,
+        revision: (last ? last.revision : 0) + 1,
+        action: kind,
+        actor,
+        owner: owner ? doc[owner] : doc.email,
+        at: new Date(),
+        changes,
+        snapshot: after ? auditSnapshot(after, fields) : null,
+        ...extra,
+      };
+      try {
+        await auditLogCollection.insertOne(entry);
+        return entry;
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 4) throw err;
+      }
+    }
+  }
+
+  // the write has already happened, so a failed audit is logged rather than failing the request
+  function recordAuditSafely(...args) {
+    return recordAudit(...args).catch(err => console.error('recordAudit error:', err));
+  }
+
+  // Audit many [before, after] pairs of one collection with one read and one insert;
+  // entries that lose a revision race are retried one by one through recordAudit.
+  async function recordAuditMany(collectionName, pairs, actor, { action, ...extra } = {}) {
+    const { fields, owner } = AUDITED[collectionName];
+    const pending = pairs
+      .map(([before, after]) => ({ before, after, changes: auditDiff(before, after, fields), kind: action || (!before ? 'create' : !after ? 'delete' : 'update') }))
+      .filter(p => p.kind !== 'update' || p.changes.length);
+    if (!pending.length) return [];
+
+    const docIds = pending.map(p => (p.after || p.before)._id);
+    const last = await auditLogCollection.aggregate([
+      { $match: { collection: collectionName, docId: { $in: docIds } } },
+      { $group: { _id: '$docId', revision: { $max: '$revision' } } },
+    ]).toArray();
+    const lastRevision = new Map(last.map(l => [String(l._id), l.revision]));
+
+    const entries = pending.map(({ before, after, changes, kind }) => {
+      const doc = after || before;
+      return {
+        collection: collectionName,
+        docId: doc._id,
+        revision: (lastRevision.get(String(doc._id)) || 0) + 1,
+        action: kind,
+        actor,
+        owner: owner ? doc[owner] : doc.email,
+        at: new Date(),
+        changes,
+        snapshot: after ? auditSnapshot(after, fields) : null,
+        ...extra,
+      };
+    });
+    try {
+      await auditLogCollection.insertMany(entries, { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      for (const we of [].concat(err.writeErrors)) {
+        if (we.code !== 11000) throw err;
+        const { before, after } = pending[we.index];
+        await recordAudit(collectionName, before, after, actor, { action, ...extra });
+      }
+    }
+    return entries;
+  }
+
+  function recordAuditManySafely(...args) {
+    return recordAuditMany(...args).catch(err => console.error('recordAuditMany error:', err));
+  }
+
+  // resolves :type/:id for the history routes; sends the error response otherwise
+  async function loadAuditTarget(req, res) {
+    const type = req.params.type;
+    if (!AUDITED[type] || type === 'users') {
+      res.status(404).json({ message: 'Unknown document type' });
+      return null;
+    }
+    const query = idQuery(req.params.id);
+    const current = await db.collection(type).findOne(query);
+    const latest = await auditLogCollection.find({ collection: type, docId: current ? current._id : query._id }).sort({ revision: -1 }).limit(1).next();
+    if (!current && !latest) {
+      res.status(404).json({ message: `${AUDITED[type].label} not found` });
+      return null;
+    }
+    const owner = current ? current[AUDITED[type].owner] : latest.owner;
+    return { type, docId: current ? current._id : latest.docId, current, owner };
+  }
+
+  // revision history of a challenge, tip or event, newest first (owner or moderator): ?limit&cursor|before
+  app.get('/api/history/:type/:id', requireAuth, async (req, res) => {
+    try {
+      const target = await loadAuditTarget(req, res);
+      if (!target) return;
+      if (target.owner !== req.user.email && !hasRole(req.user, 'moderator')) {
+        return res.status(403).json({ message: 'Forbidden: only the owner or a moderator can view history' });
+      }
+
+      const paging = readCursorParams(req.query, { field: 'revision' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const { items, next, prev } = await keysetPage(
+        auditLogCollection,
+        { collection: target.type, docId: target.docId },
+        { field: 'revision', dir: -1 },
+        paging
+      );
+      res.json({ items, next, prev, deleted: !target.current || !!target.current.deletedAt });
+    } catch (err) {
+      console.error('GET /api/history/:type/:id error:', err);
+      res.status(500).json({ message: 'Failed to get history', error: err.message });
+    }
+  });
+
+  // restore the audited fields as they were after `revision` (owner or admin); recorded as a new revision
+  app.post('/api/history/:type/:id/revert', requireAuth, async (req, res) => {
+    try {
+      const { value: body, errors } = validateSchema({ revision: { type: 'integer', required: true, min: 1 } }, req.body);
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      const target = await loadAuditTarget(req, res);
+      if (!target) return;
+      if (target.owner !== req.user.email && !hasRole(req.user, 'admin')) {
+        return res.status(403).json({ message: 'Forbidden: only the owner or an admin can revert' });
+      }
+      if (!target.current || target.current.deletedAt) {
+        return res.status(409).json({ message: `${AUDITED[target.type].label} has been deleted` });
+      }
+
+      const entry = await auditLogCollection.findOne({ collection: target.type, docId: target.docId, revision: body.revision });
+      if (!entry) return res.status(404).json({ message: 'Revision not found' });
+      if (!entry.snapshot) return sendValidationErrors(res, [{ field: 'revision', message: 'That revision has no state to restore' }]);
+
+      // the fields that differ, as a PATCH body: absent in the snapshot means cleared
+      const { schema, fields, managed = [] } = AUDITED[target.type];
+      const changes = {};
+      for (const field of fields) {
+        if (managed.includes(field)) continue;
+        if (field in entry.snapshot) {
+          if (!sameValue(entry.snapshot[field], target.current[field])) {
+            const v = entry.snapshot[field];
+            changes[field] = v instanceof ObjectId ? String(v) : v;
+          }
+        } else if (target.current[field] !== undefined) {
+          changes[field] = null;
+        }
+      }
+      if (!Object.keys(changes).length) {
+        return res.json({ success: true, message: 'Already at this revision', modifiedCount: 0 });
+      }
+
+      // the reverted state has to pass the same checks as a PATCH
+      const { value: reverted, errors: revertErrors } = validateSchema(schema, changes, { partial: true });
+      if (target.type === 'challenges') {
+        revertErrors.push(...challengeDateErrors(reverted, target.current), ...challengeImageErrors(reverted, target.current));
+      }
+      if (target.type !== 'tips') revertErrors.push(...(await resolveImageRef(req, reverted, 'imageId', 'imageUrl')));
+      if (revertErrors.length) {
+        return res.status(409).json({ message: 'That revision no longer passes validation', errors: revertErrors });
+      }
+
+      const $set = {};
+      const $unset = {};
+      for (const [field, v] of Object.entries(reverted)) {
+        if (v === null) $unset[field] = '';
+        else $set[field] = v;
+      }
+      $set.updatedAt = new Date();
+      const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+      const result = await db.collection(target.type).updateOne({ _id: target.docId }, update);
+      const after = { ...target.current, ...$set };
+      Object.keys($unset).forEach(f => delete after[f]);
+      const revision = await recordAudit(target.type, target.current, after, req.user.email, { action: 'revert', revertedTo: body.revision });
+
+      if (target.type === 'events') await promoteFromWaitlist(target.docId);
+      res.json({ success: true, modifiedCount: result.modifiedCount, revision: revision && revision.revision });
+    } catch (err) {
+      console.error('POST /api/history/:type/:id/revert error:', err);
+      res.status(500).json({ message: 'Failed to revert', error: err.message });
+    }
+  });
 
-      const result = await challengesCollection.deleteOne(filter);
-      res.json({ success: true, deletedCount: result.deletedCount });
+  // role changes for one user (admin)
+  app.get('/api/admin/users/:email/history', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      const paging = readCursorParams(req.query, { field: 'at' });
+      if (paging.errors) return sendValidationErrors(res, paging.errors);
+
+      const { items, next, prev } = await keysetPage(
+        auditLogCollection,
+        { collection: 'users', owner: req.params.email },
+        { field: 'at', dir: -1 },
+        paging
+      );
+      res.json({ items, next, prev });
     } catch (err) {
-      console.error('DELETE /api/challenges/:id error:', err);
-      res.status(500).json({ message: 'Failed to delete challenge', error: err.message });
+      console.error('GET /api/admin/users/:email/history error:', err);
+      res.status(500).json({ message: 'Failed to get user history', error: err.message });
     }
   });
 
-  // Join challenge (protected)
-  app.post('/api/challenges/join/:id', requireAuth, async (req, res) => {
-    try {
-      const challengeId = req.params.id;
-      const userEmail = req.user.email;
+  /* -------------------------
+     ADMIN (moderation)
+  ------------------------- */
 
-      let challengeFilter;
-      if (ObjectId.isValid(challengeId) && String(new ObjectId(challengeId)) === challengeId) challengeFilter = { _id: new ObjectId(challengeId) };
-      else challengeFilter = { _id: challengeId };
+  // moderators edit/remove any content; user management is admin only
+  // schemas only admit editable fields, so counters and ownership can't be $set here
+  const adminContent = [
+    { path: 'challenges', collection: challengesCollection, label: 'Challenge', schema: SCHEMAS.challenge },
+    { path: 'tips', collection: tipsCollection, label: 'Tip', schema: SCHEMAS.tip },
+    { path: 'events', collection: eventsCollection, label: 'Event', schema: SCHEMAS.event },
+  ];
 
-      const challenge = await challengesCollection.findOne(challengeFilter);
-      if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+  for (const { path, collection, label, schema } of adminContent) {
+    app.patch(`/api/admin/${path}/:id`, requireAuth, requireRole('moderator'), validateBody(schema, { partial: true }), async (req, res) => {
+      try {
+        const query = { ...idQuery(req.params.id), ...NOT_DELETED };
+        const existing = await collection.findOne(query);
+        if (!existing) return res.status(404).json({ message: `${label} not found` });
 
-      const exists = await userChallengesCollection.findOne({ userId: userEmail, challengeId: challenge._id || challengeId });
-      if (exists) return res.status(200).json({ message: 'Already joined', userChallenge: exists });
+        const errors = path !== 'tips' ? await resolveImageRef(req, req.body, 'imageId', 'imageUrl', existing) : [];
+        if (path === 'challenges') errors.push(...challengeDateErrors(req.body, existing), ...challengeImageErrors(req.body, existing));
+        if (errors.length) return sendValidationErrors(res, errors);
+        const updatedData = { ...req.body, updatedAt: new Date() };
 
-      const uc = {
-        userId: userEmail,
-        challengeId: challenge._id || challengeId,
-        status: 'Ongoing',
-        progress: 0,
-        progressLogs: [],
-        joinDate: new Date(),
-        lastUpdated: new Date(),
-      };
+        const result = await collection.updateOne(query, { $set: updatedData });
+        if (result.modifiedCount) await recordAuditSafely(path, existing, { ...existing, ...updatedData }, req.user.email);
+        // a raised capacity seats people from the waitlist
+        if (path === 'events') await promoteFromWaitlist(existing._id);
+        res.json({ success: true, modifiedCount: result.modifiedCount });
+      } catch (err) {
+        console.error(`PATCH /api/admin/${path}/:id error:`, err);
+        res.status(500).json({ message: `Failed to update ${label.toLowerCase()}`, error: err.message });
+      }
+    });
+
+    app.delete(`/api/admin/${path}/:id`, requireAuth, requireRole('moderator'), async (req, res) => {
+      try {
+        const query = { ...idQuery(req.params.id), ...NOT_DELETED };
+        const existing = await collection.findOne(query);
+        if (!existing) return res.status(404).json({ message: `${label} not found` });
 
-      const insertResult = await userChallengesCollection.insertOne(uc);
+        // challenges and tips are soft-deleted and restorable; events go immediately
+        if (path === 'challenges' || path === 'tips') {
+          const deleted = path === 'challenges'
+            ? await softDeleteChallenge(existing, req.user.email)
+            : await softDeleteTip(existing, req.user.email);
+          return res.json({ success: true, deletedCount: deleted ? 1 : 0, restoreUntil: restoreDeadline({ deletedAt: new Date() }) });
+        }
 
-      await challengesCollection.updateOne({ _id: challenge._id || challengeId }, { $inc: { participants: 1 } });
+        const result = await collection.deleteOne(query);
+        if (result.deletedCount) await recordAuditSafely(path, existing, null, req.user.email);
+        await eventRegistrationsCollection.deleteMany({ eventId: existing._id });
+        res.json({ success: true, deletedCount: result.deletedCount });
+      } catch (err) {
+        console.error(`DELETE /api/admin/${path}/:id error:`, err);
+        res.status(500).json({ message: `Failed to delete ${label.toLowerCase()}`, error: err.message });
+      }
+    });
+  }
+
+  // edit any user profile (admin); role, email and ecoPoints are not editable here
+  app.patch('/api/admin/users/:email', requireAuth, requireRole('admin'), validateBody(SCHEMAS.user, { partial: true }), async (req, res) => {
+    try {
+      const email = req.params.email;
+      const existing = await usersCollection.findOne({ email }, { projection: { photoImageId: 1, photoURL: 1 } });
+      if (!existing) return res.status(404).json({ message: 'User not found' });
+      const imageErrors = await resolveImageRef(req, req.body, 'photoImageId', 'photoURL', existing);
+      if (imageErrors.length) return sendValidationErrors(res, imageErrors);
+      const updatedData = req.body;
 
-      res.status(201).json({ success: true, userChallengeId: insertResult.insertedId, userChallenge: { _id: insertResult.insertedId, ...uc } });
+      const result = await usersCollection.updateOne({ email }, { $set: updatedData });
+      if (!result.matchedCount) return res.status(404).json({ message: 'User not found' });
+      res.json({ success: true, modifiedCount: result.modifiedCount });
     } catch (err) {
-      console.error('POST /api/challenges/join/:id error:', err);
-      res.status(500).json({ message: 'Failed to join challenge', error: err.message });
+      console.error('PATCH /api/admin/users/:email error:', err);
+      res.status(500).json({ message: 'Failed to update user', error: err.message });
     }
   });
 
-  /* -------------------------
-     USER-CHALLENGES
-  ------------------------- */
-
-  // Get logged-in user's challenges (protected)
-  app.get('/api/user-challenges/me', requireAuth, async (req, res) => {
+  // change a user's role (admin) — the only way roles change
+  app.patch('/api/admin/users/:email/role', requireAuth, requireRole('admin'), validateBody(SCHEMAS.role), async (req, res) => {
     try {
-      const userEmail = req.user.email;
-      const ucs = await userChallengesCollection.find({ userId: userEmail }).toArray();
-
-      const populated = await Promise.all(ucs.map(async (uc) => {
-        const ch = (uc.challengeId && ObjectId.isValid(String(uc.challengeId)))
-          ? await challengesCollection.findOne({ _id: new ObjectId(String(uc.challengeId)) })
-          : await challengesCollection.findOne({ _id: String(uc.challengeId) }) || null;
-        return { ...uc, challenge: ch };
-      }));
+      const email = req.params.email;
+      const { role } = req.body;
+      if (email === req.user.email) return sendValidationErrors(res, [{ field: 'email', message: 'Admins cannot change their own role' }]);
 
-      res.json(populated);
+      const before = await usersCollection.findOneAndUpdate(
+        { email },
+        { $set: { role, roleUpdatedAt: new Date(), roleUpdatedBy: req.user.email } },
+        { returnDocument: 'before' }
+      );
+      if (!before) return res.status(404).json({ message: 'User not found' });
+      await recordAuditSafely('users', before, { ...before, role }, req.user.email);
+      res.json({ success: true, email, role });
     } catch (err) {
-      console.error('GET /api/user-challenges/me error:', err);
-      res.status(500).json({ message: 'Failed to fetch user challenges', error: err.message });
+      console.error('PATCH /api/admin/users/:email/role error:', err);
+      res.status(500).json({ message: 'Failed to change role', error: err.message });
     }
   });
 
-  // update progress on a user-challenge
-  app.patch('/api/user-challenges/:id/progress', requireAuth, async (req, res) => {
+  // manual points correction (admin) — appended to the ledger like any other award
+  app.post('/api/admin/users/:email/points', requireAuth, requireRole('admin'), validateBody(SCHEMAS.pointsAdjustment), async (req, res) => {
     try {
-      const id = req.params.id;
-      const { progress, addLogValue } = req.body;
-      const uc = await userChallengesCollection.findOne({ _id: new ObjectId(id) });
-      if (!uc) return res.status(404).json({ message: 'UserChallenge not found' });
-      if (uc.userId !== req.user.email) return res.status(403).json({ message: 'Forbidden' });
+      const email = req.params.email;
+      const { points, note } = req.body;
 
-      const updates = {};
-      if (typeof progress === 'number') {
-        updates.progress = Math.min(100, Math.max(0, progress));
-        updates.status = updates.progress >= 100 ? 'Finished' : 'Ongoing';
-      }
-      if (typeof addLogValue === 'number') {
-        await userChallengesCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $push: { progressLogs: { date: new Date(), value: Number(addLogValue) } } }
-        );
-      }
-      updates.lastUpdated = new Date();
+      const user = await usersCollection.findOne({ email }, { projection: { _id: 1 } });
+      if (!user) return res.status(404).json({ message: 'User not found' });
 
-      const result = await userChallengesCollection.updateOne({ _id: new ObjectId(id) }, { $set: updates });
-      const updated = await userChallengesCollection.findOne({ _id: new ObjectId(id) });
-      res.json({ success: true, updated });
+      const entry = await awardPoints(email, 'adminAdjustment', { type: 'admin', id: req.user.email, note }, { points });
+      res.status(201).json({ success: true, entry });
     } catch (err) {
-      console.error('PATCH /api/user-challenges/:id/progress error:', err);
-      res.status(500).json({ message: 'Failed to update progress', error: err.message });
+      console.error('POST /api/admin/users/:email/points error:', err);
+      res.status(500).json({ message: 'Failed to adjust points', error: err.message });
     }
   });
 
-  // leave / delete a user-challenge
-  app.delete('/api/user-challenges/:id', requireAuth, async (req, res) => {
+  // badge definitions (admin). New badges are awarded the next time a user's activity is evaluated.
+  app.get('/api/admin/badges', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const id = req.params.id;
-      const uc = await userChallengesCollection.findOne({ _id: new ObjectId(id) });
-      if (!uc) return res.status(404).json({ message: 'Not found' });
-      if (uc.userId !== req.user.email) return res.status(403).json({ message: 'Forbidden' });
+      const items = await badgeDefinitionsCollection.find().sort({ createdAt: 1 }).toArray();
+      res.json({ items, metrics: BADGE_METRICS });
+    } catch (err) {
+      console.error('GET /api/admin/badges error:', err);
+      res.status(500).json({ message: 'Failed to get badges', error: err.message });
+    }
+  });
 
-      await userChallengesCollection.deleteOne({ _id: new ObjectId(id) });
+  app.post('/api/admin/badges', requireAuth, requireRole('admin'), validateBody(SCHEMAS.badge), async (req, res) => {
+    try {
+      const badge = {
+        ...req.body,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+      };
+      try {
+        await badgeDefinitionsCollection.insertOne(badge);
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: 'A badge with this key already exists' });
+        throw err;
+      }
+      res.status(201).json({ success: true, badge });
+    } catch (err) {
+      console.error('POST /api/admin/badges error:', err);
+      res.status(500).json({ message: 'Failed to create badge', error: err.message });
+    }
+  });
 
-      await challengesCollection.updateOne(
-        { _id: uc.challengeId, participants: { $gt: 0 } },
-        { $inc: { participants: -1 } }
-      );
+  app.patch('/api/admin/badges/:key', requireAuth, requireRole('admin'), validateBody(SCHEMAS.badge, { partial: true }), async (req, res) => {
+    try {
+      const { key, ...changes } = req.body;
+      const updates = { ...changes, updatedAt: new Date() };
 
-      res.json({ success: true, message: 'Left challenge' });
+      const result = await badgeDefinitionsCollection.updateOne({ key: req.params.key }, { $set: updates });
+      if (!result.matchedCount) return res.status(404).json({ message: 'Badge not found' });
+      res.json({ success: true, modifiedCount: result.modifiedCount });
     } catch (err) {
-      console.error('DELETE /api/user-challenges/:id error:', err);
-      res.status(500).json({ message: 'Failed to leave challenge', error: err.message });
+      console.error('PATCH /api/admin/badges/:key error:', err);
+      res.status(500).json({ message: 'Failed to update badge', error: err.message });
     }
   });
 
-  /* -------------------------
-     TIPS
-  ------------------------- */
-
-  // get tips (limit optional)
-  app.get('/api/tips', async (req, res) => {
+  // retire a badge: it stops being awarded, existing awards stay on profiles
+  app.delete('/api/admin/badges/:key', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const limit = Number(req.query.limit) || 5;
-      const items = await tipsCollection.find().sort({ createdAt: -1 }).limit(limit).toArray();
-      res.json({ items });
+      const result = await badgeDefinitionsCollection.updateOne({ key: req.params.key }, { $set: { active: false, updatedAt: new Date() } });
+      if (!result.matchedCount) return res.status(404).json({ message: 'Badge not found' });
+      res.json({ success: true });
     } catch (err) {
-      console.error('GET /api/tips error:', err);
-      res.status(500).json({ message: 'Failed to get tips', error: err.message });
+      console.error('DELETE /api/admin/badges/:key error:', err);
+      res.status(500).json({ message: 'Failed to retire badge', error: err.message });
     }
   });
 
-  // get single tip
-  app.get('/api/tips/:id', async (req, res) => {
+  // Compare every challenge's participants counter with its userChallenges and, with
+  // `fix`, correct the drift. Duplicate participations (possible before the unique
+  // index, or one row with a legacy string id and one with the ObjectId) are reported;
+  // `fix` keeps the oldest of each, converts string ids and creates the index.
+  // Participations whose challenge is gone are reported, not changed.
+  async function reconcileParticipants({ fix = false } = {}) {
+    const duplicates = await userChallengesCollection.aggregate([
+      { $sort: { joinDate: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { userId: '$userId', challengeId: { $convert: { input: '$challengeId', to: 'objectId', onError: '$challengeId', onNull: null } } },
+          count: { $sum: 1 },
+          ids: { $push: '$_id' },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]).toArray();
+
+    let duplicatesRemoved = 0;
+    if (fix && duplicates.length) {
+      for (const d of duplicates) {
+        const result = await userChallengesCollection.deleteMany({ _id: { $in: d.ids.slice(1) } });
+        duplicatesRemoved += result.deletedCount;
+      }
+    }
+    const migrated = fix ? await migrateParticipationChallengeIds() : null;
+    if (fix && participationIndexError) await ensureParticipationIndex();
+
+    // counted after the dedupe so the fixed counters match what's left
+    const grouped = await userChallengesCollection.aggregate([
+      // older rows may hold the challenge id as a string
+      { $group: { _id: { $convert: { input: '$challengeId', to: 'objectId', onError: '$challengeId', onNull: null } }, count: { $sum: 1 } } },
+    ]).toArray();
+    const actual = new Map(grouped.map(g => [String(g._id), g.count]));
+
+    const drift = [];
+    let checked = 0;
+    let fixed = 0;
+    const cursor = challengesCollection.find({}, { projection: { title: 1, participants: 1 } });
+    for await (const ch of cursor) {
+      checked++;
+      const count = actual.get(String(ch._id)) || 0;
+      actual.delete(String(ch._id));
+      if ((ch.participants || 0) === count) continue;
+
+      drift.push({ challengeId: ch._id, title: ch.title, stored: ch.participants || 0, actual: count });
+      if (fix) {
+        // guarded by the value we read so a concurrent join/leave isn't overwritten
+        const result = await challengesCollection.updateOne({ _id: ch._id, participants: ch.participants }, { $set: { participants: count } });
+        fixed += result.modifiedCount;
+      }
+    }
+
+    return {
+      checked,
+      drifted: drift.length,
+      fixed,
+      drift: drift.slice(0, 500),
+      orphanedParticipations: [...actual.values()].reduce((a, b) => a + b, 0),
+      duplicatesFound: duplicates.length,
+      duplicatesRemoved,
+      ...(migrated ? { legacyIdsConverted: migrated.converted } : {}),
+      duplicates: duplicates.slice(0, 100).map(d => ({ ...d._id, count: d.count, ids: d.ids })),
+      uniqueIndex: participationIndexError ? { ok: false, error: participationIndexError } : { ok: true },
+    };
+  }
+
+  // Compare every user's ecoPoints with the sum of their ledger and, with `fix`, reset
+  // the drifted ones to it.
+  async function reconcilePoints({ fix = false } = {}) {
+    const totals = await pointsLedgerCollection.aggregate([
+      { $group: { _id: '$userId', total: { $sum: '$points' } } },
+    ]).toArray();
+    const actual = new Map(totals.map(t => [t._id, t.total]));
+
+    const drift = [];
+    let checked = 0;
+    let fixed = 0;
+    const cursor = usersCollection.find({}, { projection: { email: 1, ecoPoints: 1 } });
+    for await (const user of cursor) {
+      checked++;
+      const total = actual.get(user.email) || 0;
+      if ((user.ecoPoints || 0) === total) continue;
+
+      drift.push({ userId: user.email, stored: user.ecoPoints || 0, actual: total });
+      if (fix) {
+        // guarded like the participant counters so a concurrent award isn't overwritten
+        const result = await usersCollection.updateOne({ _id: user._id, ecoPoints: user.ecoPoints }, { $set: { ecoPoints: total } });
+        fixed += result.modifiedCount;
+      }
+    }
+
+    return { checked, drifted: drift.length, fixed, drift: drift.slice(0, 500) };
+  }
+
+  // ecoPoints drift report (admin); POST corrects it
+  app.get('/api/admin/reconcile/points', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const id = req.params.id;
-      let query;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
-      else query = { _id: id };
-      const tip = await tipsCollection.findOne(query);
-      if (!tip) return res.status(404).json({ message: 'Tip not found' });
-      res.json(tip);
+      res.json(await reconcilePoints());
     } catch (err) {
-      console.error('GET /api/tips/:id error:', err);
-      res.status(500).json({ message: 'Failed to get tip', error: err.message });
+      console.error('GET /api/admin/reconcile/points error:', err);
+      res.status(500).json({ message: 'Failed to reconcile points', error: err.message });
     }
   });
 
-  // add tip
-  app.post('/api/tips', async (req, res) => {
+  app.post('/api/admin/reconcile/points', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const body = req.body || {};
-      const newTip = {
-        title: String(body.title || ''),
-        content: String(body.content || ''),
-        category: String(body.category || ''),
-        author: String(body.author || ''),
-        authorName: String(body.authorName || ''),
-        upvotes: Number(body.upvotes) || 0,
-        createdAt: new Date(),
-      };
-      const result = await tipsCollection.insertOne(newTip);
-      res.status(201).json({ success: true, tipId: result.insertedId, tip: { _id: result.insertedId, ...newTip } });
+      const startedAt = new Date();
+      const report = await reconcilePoints({ fix: true });
+      const { drift, ...summary } = report;
+      await recordJobRun('reconcilePoints', startedAt, summary, { drift });
+      res.json({ success: true, ...report });
     } catch (err) {
-      console.error('POST /api/tips error:', err);
-      res.status(500).json({ message: 'Failed to create tip', error: err.message });
+      console.error('POST /api/admin/reconcile/points error:', err);
+      res.status(500).json({ message: 'Failed to reconcile points', error: err.message });
     }
   });
 
-  // upvote tip
-  app.patch('/api/tips/:id/upvote', async (req, res) => {
+  // participant counter drift report (admin); POST corrects it
+  app.get('/api/admin/reconcile/participants', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const id = req.params.id;
-      let query;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
-      else query = { _id: id };
-
-      const result = await tipsCollection.updateOne(query, { $inc: { upvotes: 1 } });
-      res.json({ success: true, modifiedCount: result.modifiedCount });
+      res.json(await reconcileParticipants());
     } catch (err) {
-      console.error('PATCH /api/tips/:id/upvote error:', err);
-      res.status(500).json({ message: 'Failed to upvote tip', error: err.message });
+      console.error('GET /api/admin/reconcile/participants error:', err);
+      res.status(500).json({ message: 'Failed to reconcile participants', error: err.message });
     }
   });
 
-  // delete tip (optional)
-  app.delete('/api/tips/:id', async (req, res) => {
+  app.post('/api/admin/reconcile/participants', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const id = req.params.id;
-      let query;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
-      else query = { _id: id };
-      const result = await tipsCollection.deleteOne(query);
-      res.json({ success: true, deletedCount: result.deletedCount });
+      const startedAt = new Date();
+      const report = await reconcileParticipants({ fix: true });
+      const { drift, duplicates, ...summary } = report;
+      await recordJobRun('reconcileParticipants', startedAt, summary, { drift, duplicates });
+      res.json({ success: true, ...report });
     } catch (err) {
-      console.error('DELETE /api/tips/:id error:', err);
-      res.status(500).json({ message: 'Failed to delete tip', error: err.message });
+      console.error('POST /api/admin/reconcile/participants error:', err);
+      res.status(500).json({ message: 'Failed to reconcile participants', error: err.message });
     }
   });
 
-  /* -------------------------
-     EVENTS
-  ------------------------- */
-
-  // get events (upcoming option & limit)
-  app.get('/api/events', async (req, res) => {
+  // recent cron runs and what they changed (admin): ?job=lifecycle&limit
+  app.get('/api/admin/jobs', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const now = new Date();
-      const upcoming = req.query.upcoming === 'true';
-      const limit = Number(req.query.limit) || 4;
-      const q = upcoming ? { date: { $gte: now } } : {};
-      const items = await eventsCollection.find(q).sort({ date: 1 }).limit(limit).toArray();
+      const q = req.query.job ? { job: String(req.query.job) } : {};
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      const items = await jobRunsCollection.find(q).sort({ startedAt: -1 }).limit(limit).toArray();
       res.json({ items });
     } catch (err) {
-      console.error('GET /api/events error:', err);
-      res.status(500).json({ message: 'Failed to get events', error: err.message });
+      console.error('GET /api/admin/jobs error:', err);
+      res.status(500).json({ message: 'Failed to get job runs', error: err.message });
     }
   });
 
-  // get single event
-  app.get('/api/events/:id', async (req, res) => {
+  // remove a user (admin); same anonymising deletion as DELETE /api/users/me
+  app.delete('/api/admin/users/:email', requireAuth, requireRole('admin'), async (req, res) => {
     try {
-      const id = req.params.id;
-      let query;
-      if (ObjectId.isValid(id) && String(new ObjectId(id)) === id) query = { _id: new ObjectId(id) };
-      else query = { _id: id };
-      const ev = await eventsCollection.findOne(query);
-      if (!ev) return res.status(404).json({ message: 'Event not found' });
-      res.json(ev);
+      const email = req.params.email;
+      if (email === req.user.email) return res.status(400).json({ message: 'Admins cannot delete themselves' });
+
+      if (!(await usersCollection.countDocuments({ email }, { limit: 1 }))) return res.status(404).json({ message: 'User not found' });
+      const { deleted, summary } = await deleteAccount(email);
+      res.json({ success: true, deletedCount: deleted ? 1 : 0, summary });
     } catch (err) {
-      console.error('GET /api/events/:id error:', err);
-      res.status(500).json({ message: 'Failed to get event', error: err.message });
+      console.error('DELETE /api/admin/users/:email error:', err);
+      res.status(500).json({ message: 'Failed to delete user', error: err.message });
     }
   });
 
-  // create event
-  app.post('/api/events', async (req, res) => {
-    try {
-      const body = req.body || {};
-      const required = ['title', 'description', 'date', 'location', 'organizer', 'maxParticipants'];
-      for (const f of required) {
-        if (!body[f]) return res.status(400).json({ message: `${f} is required` });
+  /* -------------------------
+     ADMIN IMPORT & EXPORT
+  ------------------------- */
+
+  // Match each row to a stored document, by externalId first and an exported _id second.
+  // Returns per-row { externalId, id, existing } or { errors }.
+  async function matchImportRows(collection, rows) {
+    const keys = rows.map((row) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) return { errors: [{ field: null, message: 'Row must be an object' }] };
+      const errors = [];
+      let externalId = null;
+      if (row.externalId !== undefined && row.externalId !== null && row.externalId !== '') {
+        const checked = checkField('externalId', IMPORT_EXTERNAL_ID, row.externalId);
+        if (checked.error) errors.push({ field: 'externalId', message: checked.error });
+        else externalId = checked.value;
       }
+      let id = null;
+      if (row._id !== undefined && row._id !== null && row._id !== '') {
+        if (isObjectIdHex(row._id)) id = new ObjectId(String(row._id));
+        else errors.push({ field: '_id', message: '_id must be a 24-character hex id' });
+      }
+      return errors.length ? { errors } : { externalId, id };
+    });
 
-      const newEvent = {
-        title: String(body.title),
-        description: String(body.description),
-        date: new Date(body.date),
-        location: String(body.location),
-        organizer: String(body.organizer),
-        maxParticipants: Number(body.maxParticipants) || 0,
-        currentParticipants: Number(body.currentParticipants) || 0,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
+    const externalIds = keys.filter(k => k.externalId).map(k => k.externalId);
+    const ids = keys.filter(k => k.id).map(k => k.id);
+    const [byExternalId, byId] = await Promise.all([
+      externalIds.length ? collection.find({ externalId: { $in: externalIds } }).toArray() : [],
+      ids.length ? collection.find({ _id: { $in: ids } }).toArray() : [],
+    ]);
+    const externalMap = new Map(byExternalId.map(d => [d.externalId, d]));
+    const idMap = new Map(byId.map(d => [String(d._id), d]));
 
-      const result = await eventsCollection.insertOne(newEvent);
-      res.status(201).json({ success: true, eventId: result.insertedId, event: { _id: result.insertedId, ...newEvent } });
-    } catch (err) {
-      console.error('POST /api/events error:', err);
-      res.status(500).json({ message: 'Failed to create event', error: err.message });
+    return keys.map((k) => {
+      if (k.errors) return k;
+      const existing = (k.externalId && externalMap.get(k.externalId)) || (k.id && idMap.get(String(k.id))) || null;
+      if (existing && k.externalId && existing.externalId && existing.externalId !== k.externalId) {
+        return { errors: [{ field: '_id', message: `_id belongs to the item imported as ${existing.externalId}` }] };
+      }
+      // soft-deleted documents keep their keys, so a row can't silently recreate them
+      if (existing && existing.deletedAt) return { errors: [{ field: 'externalId', message: 'This item is in the trash; restore it first' }] };
+      return { ...k, existing };
+    });
+  }
+
+  // Validate a matched row like the single-item routes: a new item like POST, an
+  // existing one like PATCH, so only the columns present in the row are changed.
+  async function prepareImportRow(req, path, schema, row, existing) {
+    const { value, errors } = validateSchema(schema, row, { partial: !!existing });
+    if (path !== 'tips') errors.push(...(await resolveImageRef(req, value, 'imageId', 'imageUrl', existing || {})));
+    if (path === 'challenges') {
+      errors.push(...challengeDateErrors(value, existing || {}), ...challengeImageErrors(value, existing || {}));
     }
-  });
+    return { value, errors };
+  }
+
+  function newImportDoc(path, value, actor) {
+    const now = new Date();
+    if (path === 'challenges') return { ...value, participants: 0, commentCount: 0, createdBy: actor, createdAt: now, updatedAt: now };
+    if (path === 'tips') return { ...value, author: actor, upvotes: 0, downvotes: 0, score: 0, commentCount: 0, createdAt: now };
+    return { ...value, currentParticipants: 0, createdBy: actor, createdAt: now, updatedAt: now };
+  }
+
+  // Bulk create/update (admin): multipart "file" (CSV or JSON) or JSON { items }.
+  // Rows match stored items by externalId, else by an exported _id; anything else is
+  // created. ?dryRun=true validates and reports without writing. Valid rows are
+  // written in one bulk write even when others fail; each row reports its outcome.
+  for (const { path, collection, label, schema } of adminContent) {
+    app.post(`/api/admin/import/${path}`, requireAuth, requireRole('admin'), receiveImportFile, async (req, res) => {
+      try {
+        const dryRun = req.query.dryRun === 'true';
+        const { rows, error } = readImportRows(req);
+        if (error) return sendValidationErrors(res, [{ field: 'file', message: error }]);
+        if (!rows.length) return sendValidationErrors(res, [{ field: 'file', message: 'No rows to import' }]);
+        if (rows.length > IMPORT_MAX_ROWS) return sendValidationErrors(res, [{ field: 'file', message: `At most ${IMPORT_MAX_ROWS} rows per import` }]);
+
+        const startedAt = new Date();
+        const matches = await matchImportRows(collection, rows);
+        const results = [];
+        const writes = []; // { result, op, before, after }
+        const seen = new Set();
+
+        for (const [index, row] of rows.entries()) {
+          const match = matches[index];
+          const result = { row: index + 1, externalId: match.externalId || null };
+          results.push(result);
+
+          const errors = match.errors || [];
+          const key = match.existing ? String(match.existing._id) : match.externalId || (match.id && String(match.id));
+          if (!errors.length && key && seen.has(key)) errors.push({ field: 'externalId', message: 'This item appears more than once in this file' });
+          let value;
+          if (!errors.length) {
+            const prepared = await prepareImportRow(req, path, schema, row, match.existing);
+            errors.push(...prepared.errors);
+            value = prepared.value;
+          }
+          if (errors.length) {
+            Object.assign(result, { action: 'error', errors });
+            continue;
+          }
+          if (key) seen.add(key);
+
+          const { existing, externalId, id } = match;
+          if (!existing) {
+            const doc = { _id: id || new ObjectId(), ...newImportDoc(path, value, req.user.email) };
+            if (externalId) doc.externalId = externalId;
+            Object.assign(result, { action: 'create', id: doc._id });
+            writes.push({ result, op: { insertOne: { document: doc } }, before: null, after: doc });
+            continue;
+          }
+
+          const $set = {};
+          const $unset = {};
+          for (const [field, v] of Object.entries(value)) {
+            if (sameValue(v, existing[field] === undefined ? null : existing[field])) continue;
+            if (v === null) $unset[field] = '';
+            else $set[field] = v;
+          }
+          if (externalId && !existing.externalId) $set.externalId = externalId;
+          if (!Object.keys($set).length && !Object.keys($unset).length) {
+            Object.assign(result, { action: 'unchanged', id: existing._id });
+            continue;
+          }
+          $set.updatedAt = new Date();
+          const after = { ...existing, ...$set };
+          Object.keys($unset).forEach(f => delete after[f]);
+          Object.assign(result, { action: 'update', id: existing._id });
+          const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+          // guarded by deletedAt so an item trashed since we read it stays trashed
+          writes.push({ result, op: { updateOne: { filter: { _id: existing._id, ...NOT_DELETED }, update } }, before: existing, after });
+        }
+
+        if (!dryRun && writes.length) {
+          const failed = new Map();
+          try {
+            await collection.bulkWrite(writes.map(w => w.op), { ordered: false });
+          } catch (err) {
+            if (!err.writeErrors) throw err;
+            [].concat(err.writeErrors).forEach(we => failed.set(we.index, we));
+          }
+          writes.forEach((w, i) => {
+            const we = failed.get(i);
+            if (!we) return;
+            // another import created the same key in the meantime
+            const message = we.code === 11000 ? 'Imported concurrently by someone else; run the import again' : we.errmsg;
+            Object.assign(w.result, { action: 'error', errors: [{ field: we.code === 11000 ? 'externalId' : null, message }] });
+            delete w.result.id;
+          });
+
+          const done = writes.filter((w, i) => !failed.has(i));
+          await recordAuditManySafely(path, done.map(w => [w.before, w.after]), req.user.email, { source: 'import' });
+          if (path === 'events') {
+            // a raised capacity seats people from the waitlist
+            for (const w of done) if (w.before && w.after.maxParticipants !== w.before.maxParticipants) await promoteFromWaitlist(w.before._id);
+          }
+        }
+
+        const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+        results.forEach((r) => { counts[{ create: 'created', update: 'updated', unchanged: 'unchanged', error: 'failed' }[r.action]]++; });
+        if (!dryRun) await recordJobRun(`import:${path}`, startedAt, { total: rows.length, ...counts, by: req.user.email });
+        res.json({ success: true, dryRun, total: rows.length, ...counts, rows: results });
+      } catch (err) {
+        console.error(`POST /api/admin/import/${path} error:`, err);
+        res.status(500).json({ message: `Failed to import ${label.toLowerCase()}s`, error: err.message });
+      }
+    });
+
+    // the live catalogue in the import format (admin): ?format=json|csv
+    app.get(`/api/admin/export/${path}`, requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const format = String(req.query.format || 'json');
+        if (format !== 'json' && format !== 'csv') return res.status(400).json({ message: 'format must be json or csv' });
+
+        const fields = ['_id', 'externalId', ...Object.keys(schema)];
+        const projection = Object.fromEntries(fields.map(f => [f, 1]));
+        const docs = await collection.find(NOT_DELETED, { projection }).sort({ createdAt: 1 }).toArray();
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'json') {
+          res.set('Content-Disposition', `attachment; filename="${path}-${stamp}.json"`);
+          return res.type('application/json').send(JSON.stringify({ items: docs }, null, 2));
+        }
+
+        const columns = fields.flatMap(f => (IMPORT_CSV_NESTED[f] ? IMPORT_CSV_NESTED[f].map(sub => `${f}.${sub}`) : [f]));
+        res.set('Content-Disposition', `attachment; filename="${path}-${stamp}.csv"`);
+        res.type('text/csv').send(toCsv(docs.map(flattenForCsv), columns));
+      } catch (err) {
+        console.error(`GET /api/admin/export/${path} error:`, err);
+        res.status(500).json({ message: `Failed to export ${label.toLowerCase()}s`, error: err.message });
+      }
+    });
+  }
 
   /* -------------------------
-     USERS
+     CRON JOBS
   ------------------------- */
 
-  // create user (idempotent)
-  app.post('/api/users', async (req, res) => {
-    try {
-      const user = req.body || {};
-      if (!user.email) return res.status(400).json({ message: 'email is required' });
-      const existingUser = await usersCollection.findOne({ email: user.email });
-      if (existingUser) return res.json({ message: 'User already exists', user: existingUser });
+  async function recordJobRun(job, startedAt, summary, changes = {}) {
+    const run = { job, startedAt, finishedAt: new Date(), summary, changes };
+    await jobRunsCollection.insertOne(run);
+    return run;
+  }
 
-      const newUser = {
-        ...user,
-        role: user.role || 'user',
-        ecoPoints: Number(user.ecoPoints) || 0,
-        createdAt: new Date(),
-      };
+  // Close participations of ended challenges (Finished at 100% progress, Incomplete
+  // otherwise), then archive the challenge. Every step is guarded by the state it
+  // moves away from, so re-runs and overlapping runs change nothing twice.
+  async function runLifecycle(now = new Date()) {
+    const changes = { finished: [], incomplete: [], archived: [] };
 
-      const result = await usersCollection.insertOne(newUser);
-      res.status(201).json({ success: true, userId: result.insertedId, user: newUser });
+    const ended = await challengesCollection
+      .find({ endDate: { $lt: now }, status: { $ne: 'archived' }, ...NOT_DELETED })
+      .toArray();
+
+    for (const ch of ended) {
+      const open = await userChallengesCollection
+        .find({ challengeId: challengeIdMatch(ch._id), ...ACTIVE_PARTICIPATION }, { projection: { userId: 1, progress: 1 } })
+        .toArray();
+
+      for (const uc of open) {
+        const nextStatus = (uc.progress || 0) >= 100 ? 'Finished' : 'Incomplete';
+        const result = await userChallengesCollection.updateOne(
+          { _id: uc._id, ...ACTIVE_PARTICIPATION },
+          { $set: { status: nextStatus, closedAt: now, lastUpdated: now } }
+        );
+        if (!result.modifiedCount) continue;
+
+        if (nextStatus === 'Finished') {
+          changes.finished.push(uc._id);
+          await awardPointsSafely(uc.userId, 'challengeFinished', { type: 'userChallenge', id: uc._id }, { key: `challengeFinished:${uc._id}` });
+          await evaluateBadgesSafely(uc.userId);
+        } else {
+          changes.incomplete.push(uc._id);
+        }
+      }
+
+      const archived = await challengesCollection.updateOne(
+        { _id: ch._id, status: { $ne: 'archived' } },
+        { $set: { status: 'archived', archivedAt: now } }
+      );
+      if (archived.modifiedCount) {
+        changes.archived.push(ch._id);
+        await recordAuditSafely('challenges', ch, { ...ch, status: 'archived', archivedAt: now }, 'system');
+      }
+    }
+
+    const summary = {
+      finished: changes.finished.length,
+      incomplete: changes.incomplete.length,
+      archived: changes.archived.length,
+    };
+    return recordJobRun('lifecycle', now, summary, changes);
+  }
+
+  // Permanently remove challenges and tips deleted longer ago than the retention
+  // period, with the participations, comments, votes and team links that hang off them.
+  async function runPurge(now = new Date()) {
+    const cutoff = new Date(now.getTime() - DELETED_RETENTION_DAYS * 86400000);
+    const changes = { challenges: [], tips: [] };
+
+    const challenges = await challengesCollection.find({ deletedAt: { $lt: cutoff } }, { projection: { _id: 1 } }).limit(200).toArray();
+    for (const ch of challenges) {
+      await Promise.all([
+        userChallengesCollection.deleteMany({ challengeId: challengeIdMatch(ch._id) }),
+        commentsCollection.deleteMany({ targetType: 'challenge', targetId: ch._id }),
+        teamChallengesCollection.deleteMany({ challengeId: ch._id }),
+      ]);
+      // guarded by deletedAt so a restore that raced us wins
+      const result = await challengesCollection.deleteOne({ _id: ch._id, deletedAt: { $lt: cutoff } });
+      if (result.deletedCount) changes.challenges.push(ch._id);
+    }
+
+    const tips = await tipsCollection.find({ deletedAt: { $lt: cutoff } }, { projection: { _id: 1 } }).limit(200).toArray();
+    for (const tip of tips) {
+      await Promise.all([
+        tipVotesCollection.deleteMany({ tipId: tip._id }),
+        commentsCollection.deleteMany({ targetType: 'tip', targetId: tip._id }),
+      ]);
+      const result = await tipsCollection.deleteOne({ _id: tip._id, deletedAt: { $lt: cutoff } });
+      if (result.deletedCount) changes.tips.push(tip._id);
+    }
+
+    const summary = { challenges: changes.challenges.length, tips: changes.tips.length };
+    return recordJobRun('purge', now, summary, changes);
+  }
+
+  // permanently remove soft-deleted content past the retention period
+  app.all('/api/cron/purge', requireCronSecret, async (req, res) => {
+    try {
+      const run = await runPurge();
+      res.json({ success: true, summary: run.summary });
     } catch (err) {
-      console.error('POST /api/users error:', err);
-      res.status(500).json({ message: 'Failed to create user', error: err.message });
+      console.error('/api/cron/purge error:', err);
+      res.status(500).json({ message: 'Purge job failed', error: err.message });
     }
   });
 
-  // get all users
-  app.get('/api/users', async (req, res) => {
+  // correct participant counters and ecoPoints that drifted from their sources
+  app.all('/api/cron/reconcile', requireCronSecret, async (req, res) => {
     try {
-      const items = await usersCollection.find().toArray();
-      res.json(items);
+      const startedAt = new Date();
+      const { drift, duplicates, ...summary } = await reconcileParticipants({ fix: true });
+      await recordJobRun('reconcileParticipants', startedAt, summary, { drift, duplicates });
+      const pointsStartedAt = new Date();
+      const { drift: pointsDrift, ...points } = await reconcilePoints({ fix: true });
+      await recordJobRun('reconcilePoints', pointsStartedAt, points, { drift: pointsDrift });
+      res.json({ success: true, summary: { ...summary, points } });
     } catch (err) {
-      console.error('GET /api/users error:', err);
-      res.status(500).json({ message: 'Failed to get users', error: err.message });
+      console.error('/api/cron/reconcile error:', err);
+      res.status(500).json({ message: 'Reconcile job failed', error: err.message });
     }
   });
 
-  // get single user by email
-  app.get('/api/users/:email', async (req, res) => {
+  // expire participations and archive ended challenges
+  app.all('/api/cron/lifecycle', requireCronSecret, async (req, res) => {
     try {
-      const email = req.params.email;
-      const user = await usersCollection.findOne({ email });
-      if (!user) return res.status(404).json({ message: 'User not found' });
-      res.json(user);
+      const run = await runLifecycle();
+      res.json({ success: true, summary: run.summary });
     } catch (err) {
-      console.error('GET /api/users/:email error:', err);
-      res.status(500).json({ message: 'Failed to get user', error: err.message });
+      console.error('/api/cron/lifecycle error:', err);
+      res.status(500).json({ message: 'Lifecycle job failed', error: err.message });
     }
   });
 
-  // update user by email
-  app.patch('/api/users/:email', async (req, res) => {
+  // time-based notifications (challenge ending, upcoming events)
+  app.all('/api/cron/notifications', requireCronSecret, async (req, res) => {
     try {
-      const email = req.params.email;
-      const updatedData = req.body || {};
-      delete updatedData.email;
-      const result = await usersCollection.updateOne({ email }, { $set: updatedData });
-      res.json({ success: true, modifiedCount: result.modifiedCount });
+      const startedAt = new Date();
+      const created = await runNotificationTriggers(startedAt);
+      await recordJobRun('notifications', startedAt, created);
+      res.json({ success: true, created });
     } catch (err) {
-      console.error('PATCH /api/users/:email error:', err);
-      res.status(500).json({ message: 'Failed to update user', error: err.message });
+      console.error('/api/cron/notifications error:', err);
+      res.status(500).json({ message: 'Notification job failed', error: err.message });
+    }
+  });
+
+  // Remove uploads nothing references once they're past the grace period
+  // (replaced avatars, deleted challenges, abandoned uploads).
+  async function runImageCleanup(now = new Date()) {
+    const candidates = await imagesCollection
+      .find({ createdAt: { $lt: new Date(now.getTime() - IMAGE_ORPHAN_GRACE_MS) } }, { projection: { files: 1 } })
+      .limit(500)
+      .toArray();
+    const inUse = await referencedImageIds(candidates.map(img => img._id));
+    const removed = [];
+    for (const image of candidates) {
+      if (inUse.has(String(image._id))) continue;
+      await deleteImage(image);
+      removed.push(image._id);
+    }
+    return recordJobRun('images', now, { checked: candidates.length, removed: removed.length }, { removed });
+  }
+
+  app.all('/api/cron/images', requireCronSecret, async (req, res) => {
+    try {
+      const run = await runImageCleanup();
+      res.json({ success: true, summary: run.summary });
+    } catch (err) {
+      console.error('/api/cron/images error:', err);
+      res.status(500).json({ message: 'Image cleanup failed', error: err.message });
     }
   });
 
@@ -577,27 +5407,44 @@ async function attachRoutes() {
      STATS
   ------------------------- */
 
+  // metric types and units challenges can use
+  app.get('/api/metrics', (req, res) => {
+    res.json({ items: Object.entries(METRIC_TYPES).map(([type, def]) => ({ type, ...def, units: Object.keys(def.units) })) });
+  });
+
   app.get('/api/stats', async (req, res) => {
     try {
       const [totalChallenges, totalTips, totalEvents, totalUsers] = await Promise.all([
-        challengesCollection.countDocuments({}),
-        tipsCollection.countDocuments({}),
+        challengesCollection.countDocuments(NOT_DELETED),
+        tipsCollection.countDocuments(NOT_DELETED),
         eventsCollection.countDocuments({}),
         usersCollection.countDocuments({}),
       ]);
 
       const uniqAgg = await userChallengesCollection.aggregate([
-        { $match: { status: 'Ongoing' } },
+        { $match: ACTIVE_PARTICIPATION },
         { $group: { _id: null, users: { $addToSet: '$userId' } } },
         { $project: { count: { $size: '$users' } } }
       ]).toArray();
       const activeParticipants = (uniqAgg[0] && uniqAgg[0].count) || 0;
 
+      // totals per metric type, in each type's base unit; logs from challenges without a metric are 'unclassified'
       const sumAgg = await userChallengesCollection.aggregate([
         { $unwind: { path: '$progressLogs', preserveNullAndEmptyArrays: false } },
-        { $group: { _id: null, totalValue: { $sum: { $toDouble: '$progressLogs.value' } } } }
+        {
+          $group: {
+            _id: { $ifNull: ['$progressLogs.metricType', 'unclassified'] },
+            total: { $sum: { $toDouble: { $ifNull: ['$progressLogs.baseValue', '$progressLogs.value'] } } },
+            logs: { $sum: 1 },
+          }
+        }
       ]).toArray();
-      const totalPlasticReducedKg = (sumAgg[0] && sumAgg[0].totalValue) || 0;
+      const impactTotals = {};
+      for (const row of sumAgg) {
+        const def = METRIC_TYPES[row._id];
+        impactTotals[row._id] = { label: def ? def.label : 'Unclassified', unit: def ? def.baseUnit : null, total: row.total, logs: row.logs };
+      }
+      const totalPlasticReducedKg = impactTotals.plastic ? impactTotals.plastic.total : 0;
 
       res.json({
         totalChallenges,
@@ -605,6 +5452,7 @@ async function attachRoutes() {
         totalEvents,
         totalUsers,
         activeParticipants,
+        impactTotals,
         totalPlasticReducedKg,
       });
     } catch (err) {
@@ -627,6 +5475,10 @@ async function attachRoutes() {
   } catch (e) {
     // ignore
   }
+
+  // the fallbacks have to come after the routes just added, or they'd answer first
+  app.use(notFound);
+  app.use(handleError);
 }
 
 // ensure routes attached before handling any request
@@ -640,12 +5492,17 @@ app.use(async (req, res, next) => {
   }
 });
 
-// 404 & global error handlers
-app.use((req, res) => res.status(404).json({ message: 'Route not found' }));
-app.use((err, req, res, next) => {
+// 404 & global error handlers; attachRoutes registers them again after the routes
+function notFound(req, res) {
+  res.status(404).json({ message: 'Route not found' });
+}
+
+function handleError(err, req, res, next) {
   console.error('Global error:', err);
   res.status(500).json({ message: 'Something went wrong', error: err?.message });
-});
+}
+
+app.use(handleError);
 
 // Export serverless handler
 module.exports = serverless(app);
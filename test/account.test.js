@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+async function setup() {
+  const app = loadApp();
+  const users = app.db.collection('users');
+  await users.insertOne({ email: 'ben@example.com', name: 'Ben' });
+  await users.insertOne({ email: 'dan@x.io', name: 'Dan' });
+  await users.insertOne({ email: 'jordan@x.io', name: 'Jordan' });
+  return { ...app, notifications: app.db.collection('notifications') };
+}
+
+test('notifications name the actor, not their email', async () => {
+  const { request, notifications } = await setup();
+  assert.equal((await request('POST', '/api/users/ben@example.com/follow', { as: 'dan@x.io' })).status, 201);
+
+  const [n] = await notifications.find({ userId: 'ben@example.com', type: 'new_follower' }).toArray();
+  assert.equal(n.body, 'Dan started following you.');
+  assert.equal(n.actor, 'dan@x.io');
+  assert.equal(n.actorName, 'Dan');
+});
+
+test('deleting an account anonymises only that user\'s notifications', async () => {
+  const { request, notifications } = await setup();
+  await request('POST', '/api/users/ben@example.com/follow', { as: 'dan@x.io' });
+  await request('POST', '/api/users/ben@example.com/follow', { as: 'jordan@x.io' });
+
+  const res = await request('DELETE', '/api/users/me', { as: 'dan@x.io', body: { confirm: 'dan@x.io' } });
+  assert.equal(res.status, 200);
+
+  const items = await notifications.find({ userId: 'ben@example.com' }).sort({ actorName: 1 }).toArray();
+  assert.deepEqual(items.map(n => [n.actorName, n.body]), [
+    ['Deleted user', 'A deleted user started following you.'],
+    ['Jordan', 'Jordan started following you.'],
+  ]);
+  assert.equal(items[1].actor, 'jordan@x.io');
+  assert.equal(items[1].ref.id, 'jordan@x.io');
+  assert.ok(!JSON.stringify(items[0]).includes('dan@x.io'));
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadApp, tokenFor } = require('./helpers/app');
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('a signed token authenticates the request', async () => {
+  const { request } = loadApp();
+  const res = await request('GET', '/api/notifications', bearer(tokenFor('ana@example.com')));
+  assert.equal(res.status, 200);
+});
+
+test('requests without a token are rejected', async () => {
+  const { request } = loadApp();
+  const res = await request('GET', '/api/notifications');
+  assert.equal(res.status, 401);
+});
+
+test('tokens signed with another key, expired or unsigned are rejected', async () => {
+  const { request } = loadApp();
+  const tokens = [
+    tokenFor('ana@example.com', { secret: 'not-the-secret' }),
+    tokenFor('ana@example.com', { expiresIn: -10 }),
+    jwt.sign({ email: 'ana@example.com', sub: 'uid-ana' }, null, { algorithm: 'none' }),
+  ];
+  for (const token of tokens) {
+    const res = await request('GET', '/api/notifications', bearer(token));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+  }
+});
+
+test('tokens without a subject or an email are rejected', async () => {
+  const { request } = loadApp();
+  const noSubject = jwt.sign({ email: 'ana@example.com' }, 'test-secret', { algorithm: 'HS256' });
+  const noEmail = jwt.sign({ sub: 'uid-ana' }, 'test-secret', { algorithm: 'HS256' });
+  for (const token of [noSubject, noEmail]) {
+    const res = await request('GET', '/api/notifications', bearer(token));
+    assert.equal(res.status, 401);
+  }
+});
+
+test('a role claim in the token does not grant that role', async () => {
+  const { request, db } = loadApp();
+  const token = tokenFor('ana@example.com', { claims: { role: 'admin' } });
+  assert.equal((await request('GET', '/api/admin/jobs', bearer(token))).status, 403);
+
+  await db.collection('users').insertOne({ email: 'ana@example.com', role: 'admin' });
+  assert.equal((await request('GET', '/api/admin/jobs', bearer(token))).status, 200);
+});
+
+test('x-user-email is ignored unless dev mode is on', async () => {
+  const { request } = loadApp();
+  const res = await request('GET', '/api/notifications', { headers: { 'x-user-email': 'ana@example.com' } });
+  assert.equal(res.status, 401);
+});
+
+test('dev mode accepts x-user-email', async () => {
+  const { request } = loadApp({ AUTH_DEV_MODE: 'true' });
+  const res = await request('GET', '/api/notifications', { headers: { 'x-user-email': 'ana@example.com' } });
+  assert.equal(res.status, 200);
+});
+
+test('dev mode refuses to start in production', () => {
+  assert.throws(() => loadApp({ AUTH_DEV_MODE: 'true', NODE_ENV: 'production' }), /AUTH_DEV_MODE must not be enabled/);
+});
+
+test('the server refuses to start without an auth source', () => {
+  assert.throws(() => loadApp({ AUTH_JWT_SECRET: undefined }), /No auth configured/);
+});
@@ -0,0 +1,314 @@
+// In-memory stand-in for the parts of the MongoDB driver the API uses, backed by
+// mingo for queries, updates and pipelines. Unique indexes are enforced (duplicate
+// key errors carry code 11000 like the driver's), transactions just run their callback.
+require('mingo/init/system');
+const { Query, Aggregator, update: applyUpdate } = require('mingo');
+const { ObjectId, BSON } = require('mongodb');
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value instanceof RegExp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+function same(a, b) {
+  return BSON.EJSON.stringify(a, { relaxed: false }) === BSON.EJSON.stringify(b, { relaxed: false });
+}
+
+function duplicateKeyError(collection, key) {
+  const err = new Error(`E11000 duplicate key error collection: ${collection} dup key: ${JSON.stringify(key)}`);
+  err.code = 11000;
+  return err;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), doc);
+}
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.steps = {};
+  }
+
+  sort(sort) { this.steps.sort = sort; return this; }
+  skip(n) { this.steps.skip = n; return this; }
+  limit(n) { this.steps.limit = n; return this; }
+  project(projection) { this.steps.projection = projection; return this; }
+
+  async toArray() {
+    return this.load(this.steps);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class FakeCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    const fields = Object.keys(keys);
+    if (options.unique) this.uniqueIndexes.push({ fields, partial: options.partialFilterExpression, sparse: options.sparse });
+    return fields.join('_');
+  }
+
+  // throws on a unique index (or _id) clash between `doc` and any other stored document
+  checkUnique(doc, self) {
+    const others = this.docs.filter(d => d !== self);
+    if (others.some(d => same(d._id, doc._id))) throw duplicateKeyError(this.collectionName, { _id: doc._id });
+    for (const index of this.uniqueIndexes) {
+      const applies = d => (!index.partial || new Query(index.partial).test(d)) && (!index.sparse || index.fields.some(f => getPath(d, f) !== undefined));
+      if (!applies(doc)) continue;
+      const key = index.fields.map(f => getPath(doc, f) ?? null);
+      if (others.some(d => applies(d) && same(index.fields.map(f => getPath(d, f) ?? null), key))) {
+        throw duplicateKeyError(this.collectionName, Object.fromEntries(index.fields.map((f, i) => [f, key[i]])));
+      }
+    }
+  }
+
+  matching(filter = {}) {
+    const query = new Query(filter);
+    return this.docs.filter(d => query.test(d));
+  }
+
+  select(filter, { sort, skip, limit, projection } = {}) {
+    let docs = this.matching(filter);
+    if (sort) docs = new Aggregator([{ $sort: sort }]).run(docs);
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, limit);
+    docs = docs.map(clone);
+    if (projection && Object.keys(projection).length) docs = new Aggregator([{ $project: projection }]).run(docs);
+    return docs;
+  }
+
+  find(filter = {}, options = {}) {
+    return new FakeCursor(steps => this.select(filter, { ...options, ...steps }));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.select(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    const count = this.matching(filter).length;
+    return options.limit ? Math.min(count, options.limit) : count;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored, null);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs, { ordered = true } = {}) {
+    const writeErrors = [];
+    let insertedCount = 0;
+    for (const [index, doc] of docs.entries()) {
+      try {
+        await this.insertOne(doc);
+        insertedCount++;
+      } catch (err) {
+        writeErrors.push({ index, code: err.code, errmsg: err.message });
+        if (ordered) break;
+      }
+    }
+    if (writeErrors.length) {
+      const err = new Error(writeErrors[0].errmsg);
+      Object.assign(err, { code: writeErrors[0].code, writeErrors, result: { insertedCount } });
+      throw err;
+    }
+    return { acknowledged: true, insertedCount };
+  }
+
+  // apply an update document or pipeline to `doc` in place
+  applyTo(doc, updateSpec, filter, { arrayFilters, inserting } = {}) {
+    if (Array.isArray(updateSpec)) {
+      const [next] = new Aggregator(updateSpec).run([clone(doc)]);
+      Object.keys(doc).forEach(k => delete doc[k]);
+      Object.assign(doc, next);
+      return;
+    }
+    for (const [op, fields] of Object.entries(updateSpec)) {
+      if (op === '$setOnInsert') {
+        if (inserting) applyUpdate(doc, { $set: clone(fields) });
+        continue;
+      }
+      const resolved = {};
+      for (const [path, value] of Object.entries(fields)) resolved[this.positional(doc, path, filter)] = clone(value);
+      applyUpdate(doc, { [op]: resolved }, arrayFilters);
+    }
+  }
+
+  // "arr.$.x" -> "arr.<index of the first element the filter matched>.x"
+  positional(doc, path, filter) {
+    const parts = path.split('.');
+    const at = parts.indexOf('$');
+    if (at === -1) return path;
+    const arrayPath = parts.slice(0, at).join('.');
+    const conditions = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+      if (key === arrayPath && value && value.$elemMatch) Object.assign(conditions, value.$elemMatch);
+      else if (key.startsWith(`${arrayPath}.`)) conditions[key.slice(arrayPath.length + 1)] = value;
+    }
+    const query = new Query(conditions);
+    const index = (getPath(doc, arrayPath) || []).findIndex(el => query.test(el));
+    if (index === -1) throw new Error(`The positional operator did not find the match needed from the query (${path})`);
+    parts[at] = String(index);
+    return parts.join('.');
+  }
+
+  // the document an upsert starts from: the filter's plain equality fields
+  upsertSeed(filter) {
+    const seed = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+      if (key.startsWith('$')) continue;
+      if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) && Object.keys(value).some(k => k.startsWith('$'))) continue;
+      applyUpdate(seed, { $set: { [key]: clone(value) } });
+    }
+    return seed;
+  }
+
+  async updateDocs(filter, updateSpec, { multi, upsert, arrayFilters } = {}) {
+    const targets = multi ? this.matching(filter) : this.matching(filter).slice(0, 1);
+    let modifiedCount = 0;
+    for (const doc of targets) {
+      const before = clone(doc);
+      this.applyTo(doc, updateSpec, filter, { arrayFilters });
+      try {
+        this.checkUnique(doc, doc);
+      } catch (err) {
+        Object.keys(doc).forEach(k => delete doc[k]);
+        Object.assign(doc, before);
+        throw err;
+      }
+      if (!same(before, doc)) modifiedCount++;
+    }
+    if (!targets.length && upsert) {
+      const doc = this.upsertSeed(filter);
+      this.applyTo(doc, updateSpec, filter, { arrayFilters, inserting: true });
+      if (doc._id === undefined) doc._id = new ObjectId();
+      this.checkUnique(doc, null);
+      this.docs.push(doc);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateOne(filter, updateSpec, options = {}) {
+    return this.updateDocs(filter, updateSpec, { ...options, multi: false });
+  }
+
+  async updateMany(filter, updateSpec, options = {}) {
+    return this.updateDocs(filter, updateSpec, { ...options, multi: true });
+  }
+
+  async findOneAndUpdate(filter, updateSpec, options = {}) {
+    const [target] = options.sort ? new Aggregator([{ $sort: options.sort }]).run(this.matching(filter)) : this.matching(filter);
+    const before = target ? clone(target) : null;
+    const narrowed = target ? { ...filter, _id: target._id } : filter;
+    const result = await this.updateDocs(narrowed, updateSpec, { ...options, multi: false });
+    if (options.returnDocument !== 'after') return before;
+    const id = target ? target._id : result.upsertedId;
+    return id === null || id === undefined ? null : this.findOne({ _id: id }, { projection: options.projection });
+  }
+
+  async deleteOne(filter = {}) {
+    const [target] = this.matching(filter);
+    if (!target) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(target), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const targets = new Set(this.matching(filter));
+    this.docs = this.docs.filter(d => !targets.has(d));
+    return { acknowledged: true, deletedCount: targets.size };
+  }
+
+  async findOneAndDelete(filter = {}) {
+    const [target] = this.matching(filter);
+    if (!target) return null;
+    this.docs.splice(this.docs.indexOf(target), 1);
+    return clone(target);
+  }
+
+  async bulkWrite(ops, { ordered = true } = {}) {
+    const writeErrors = [];
+    for (const [index, op] of ops.entries()) {
+      try {
+        if (op.insertOne) await this.insertOne(op.insertOne.document);
+        else if (op.updateOne) await this.updateOne(op.updateOne.filter, op.updateOne.update, op.updateOne);
+        else if (op.updateMany) await this.updateMany(op.updateMany.filter, op.updateMany.update, op.updateMany);
+        else if (op.deleteOne) await this.deleteOne(op.deleteOne.filter);
+        else if (op.deleteMany) await this.deleteMany(op.deleteMany.filter);
+        else throw new Error(`Unsupported bulk operation ${Object.keys(op)[0]}`);
+      } catch (err) {
+        writeErrors.push({ index, code: err.code, errmsg: err.message });
+        if (ordered) break;
+      }
+    }
+    if (writeErrors.length) {
+      const err = new Error(writeErrors[0].errmsg);
+      Object.assign(err, { code: writeErrors[0].code, writeErrors });
+      throw err;
+    }
+    return { acknowledged: true };
+  }
+
+  aggregate(pipeline = []) {
+    const resolver = name => this.db.collection(name).docs;
+    return new FakeCursor(() => new Aggregator(pipeline, { collectionResolver: resolver }).run(this.docs.map(clone)));
+  }
+}
+
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  // empty every collection; indexes stay
+  reset() {
+    for (const c of this.collections.values()) c.docs = [];
+  }
+}
+
+class FakeClient {
+  constructor() {
+    this.database = new FakeDb();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db() {
+    return this.database;
+  }
+
+  async withSession(fn) {
+    const session = { withTransaction: callback => callback(session) };
+    return fn(session);
+  }
+}
+
+module.exports = { FakeClient, FakeDb, FakeCollection };
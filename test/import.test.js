@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const ADMIN = 'admin@example.com';
+
+async function setup() {
+  const app = loadApp();
+  await app.db.collection('users').insertOne({ email: ADMIN, role: 'admin' });
+  // let the startup backfills run first, so only the import can change the tips
+  await app.request('GET', '/api/notifications', { as: ADMIN });
+  await app.db.collection('tips').insertOne({
+    externalId: 'tip-1',
+    title: 'Carry a bottle',
+    content: 'A refillable bottle saves dozens of plastic ones a month.',
+    category: 'Waste',
+    author: ADMIN,
+    createdAt: new Date(),
+  });
+  return { ...app, tips: app.db.collection('tips') };
+}
+
+const items = [
+  { externalId: 'tip-1', title: 'Carry a refillable bottle' },
+  { externalId: 'tip-2', title: 'Line-dry laundry', content: 'Skipping the dryer saves a surprising amount of energy.', category: 'Energy' },
+  { externalId: 'tip-3', title: 'No' },
+];
+
+test('a dry run reports every row without writing', async () => {
+  const { request, db, tips } = await setup();
+  const before = await tips.find({}).toArray();
+
+  const res = await request('POST', '/api/admin/import/tips?dryRun=true', { as: ADMIN, body: { items } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual([res.body.created, res.body.updated, res.body.failed], [1, 1, 1]);
+  assert.deepEqual(res.body.rows.map(r => r.action), ['update', 'create', 'error']);
+  assert.ok(res.body.rows[2].errors.some(e => e.field === 'content'));
+
+  assert.deepEqual(await tips.find({}).toArray(), before);
+  assert.equal(await db.collection('auditLog').countDocuments({}), 0);
+  assert.equal(await db.collection('jobRuns').countDocuments({}), 0);
+});
+
+test('the same import without dryRun writes the valid rows', async () => {
+  const { request, tips } = await setup();
+
+  const res = await request('POST', '/api/admin/import/tips', { as: ADMIN, body: { items } });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.created, res.body.updated, res.body.failed], [1, 1, 1]);
+
+  const updated = await tips.findOne({ externalId: 'tip-1' });
+  assert.equal(updated.title, 'Carry a refillable bottle');
+  // only the columns in the row change
+  assert.equal(updated.category, 'Waste');
+  assert.ok(await tips.findOne({ externalId: 'tip-2' }));
+  assert.equal(await tips.findOne({ externalId: 'tip-3' }), null);
+});
+
+test('imports are admin-only', async () => {
+  const { request } = await setup();
+  const res = await request('POST', '/api/admin/import/tips?dryRun=true', { as: 'ana@example.com', body: { items } });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp } = require('./helpers/app');
+
+const encode = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+// 7 notifications for ana, two pairs sharing a timestamp so the _id tie-break matters
+async function setup() {
+  const app = loadApp();
+  const base = Date.UTC(2025, 0, 1);
+  const times = [0, 1, 1, 2, 3, 3, 4];
+  const docs = times.map((t, i) => ({
+    _id: new ObjectId(),
+    userId: 'ana@example.com',
+    type: 'badge_awarded',
+    title: `n${i}`,
+    read: false,
+    createdAt: new Date(base + t * 60000),
+  }));
+  for (const doc of docs) await app.db.collection('notifications').insertOne(doc);
+  return { ...app, docs };
+}
+
+const titles = res => res.body.items.map(n => n.title);
+
+test('next cursors walk every item once, newest first', async () => {
+  const { request, docs } = await setup();
+  const expected = [...docs]
+    .sort((a, b) => b.createdAt - a.createdAt || (String(b._id) < String(a._id) ? -1 : 1))
+    .map(d => d.title);
+
+  const seen = [];
+  let url = '/api/notifications?limit=3';
+  for (let guard = 0; url && guard < 10; guard++) {
+    const res = await request('GET', url, { as: 'ana@example.com' });
+    assert.equal(res.status, 200);
+    seen.push(...titles(res));
+    url = res.body.next ? `/api/notifications?limit=3&cursor=${res.body.next}` : null;
+  }
+  assert.deepEqual(seen, expected);
+});
+
+test('a prev cursor returns the page before', async () => {
+  const { request } = await setup();
+  const first = await request('GET', '/api/notifications?limit=3', { as: 'ana@example.com' });
+  const second = await request('GET', `/api/notifications?limit=3&cursor=${first.body.next}`, { as: 'ana@example.com' });
+  assert.ok(second.body.prev);
+
+  const back = await request('GET', `/api/notifications?limit=3&before=${second.body.prev}`, { as: 'ana@example.com' });
+  assert.equal(back.status, 200);
+  assert.deepEqual(titles(back), titles(first));
+  assert.equal(back.body.prev, null);
+});
+
+test('cursors carrying query operators are rejected', async () => {
+  const { request } = await setup();
+  const cursors = [
+    encode({ f: 'createdAt', v: { $ne: null }, id: { $oid: '0123456789abcdef01234567' } }),
+    encode({ f: 'createdAt', v: { $date: '2025-01-01T00:00:00.000Z' }, id: { $gt: '' } }),
+    encode({ f: 'createdAt', v: { $date: 'not a date' }, id: 'x' }),
+    encode({ f: 'title', v: 'n1', id: 'x' }),
+    'not-a-cursor',
+  ];
+  for (const cursor of cursors) {
+    const res = await request('GET', `/api/notifications?cursor=${cursor}`, { as: 'ana@example.com' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'cursor');
+  }
+});
+
+test('limits are clamped to at least one item', async () => {
+  const { request } = await setup();
+  const res = await request('GET', '/api/notifications?limit=-5', { as: 'ana@example.com' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.items.length, 1);
+});
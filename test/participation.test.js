@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp } = require('./helpers/app');
+
+const DAY = 86400000;
+
+async function setup() {
+  const app = loadApp();
+  const challenge = {
+    _id: new ObjectId(),
+    title: 'Car-free month',
+    category: 'Transport',
+    createdBy: 'owner@example.com',
+    duration: 30,
+    startDate: new Date(Date.now() - DAY),
+    endDate: new Date(Date.now() + 29 * DAY),
+    participants: 0,
+  };
+  await app.db.collection('challenges').insertOne(challenge);
+  return { ...app, challenge, challenges: app.db.collection('challenges'), userChallenges: app.db.collection('userChallenges') };
+}
+
+test('joining twice keeps one participation and one place', async () => {
+  const { request, challenge, challenges, userChallenges } = await setup();
+
+  const first = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  assert.equal(first.status, 201);
+  const again = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.message, 'Already joined');
+  assert.equal(again.body.userChallenge._id, first.body.userChallengeId);
+
+  assert.equal(await userChallenges.countDocuments({ userId: 'ana@example.com' }), 1);
+  assert.equal((await challenges.findOne({ _id: challenge._id })).participants, 1);
+});
+
+test('concurrent joins create one participation', async () => {
+  const { request, challenge, challenges, userChallenges } = await setup();
+  await request('GET', '/api/notifications', { as: 'ana@example.com' });
+
+  const results = await Promise.all([1, 2, 3].map(() => request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' })));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 200, 201]);
+  assert.equal(await userChallenges.countDocuments({ userId: 'ana@example.com' }), 1);
+  assert.equal((await challenges.findOne({ _id: challenge._id })).participants, 1);
+});
+
+test('a participation stored with a string challenge id counts as joined', async () => {
+  const { request, challenge, challenges, userChallenges } = await setup();
+  // started first, so the startup migration doesn't convert the row
+  await request('GET', '/api/notifications', { as: 'ana@example.com' });
+  await userChallenges.insertOne({ userId: 'ana@example.com', challengeId: String(challenge._id), status: 'Ongoing', progressLogs: [] });
+  await challenges.updateOne({ _id: challenge._id }, { $set: { participants: 1 } });
+
+  const res = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  assert.equal(res.status, 200);
+  assert.equal(await userChallenges.countDocuments({ userId: 'ana@example.com' }), 1);
+});
+
+test('leaving twice releases the place once', async () => {
+  const { request, challenge, challenges, userChallenges } = await setup();
+  await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ben@example.com' });
+
+  const first = await request('POST', `/api/challenges/leave/${challenge._id}`, { as: 'ana@example.com' });
+  assert.equal(first.body.message, 'Left challenge');
+  const again = await request('POST', `/api/challenges/leave/${challenge._id}`, { as: 'ana@example.com' });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.message, 'Not joined');
+
+  assert.equal(await userChallenges.countDocuments({ userId: 'ana@example.com' }), 0);
+  assert.equal((await challenges.findOne({ _id: challenge._id })).participants, 1);
+});
+
+test('only one check-in per local day', async () => {
+  const { request, challenge, userChallenges } = await setup();
+  const joined = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  const url = `/api/user-challenges/${joined.body.userChallengeId}/check-in`;
+
+  const first = await request('POST', url, { as: 'ana@example.com', body: { timezone: 'Europe/Berlin' } });
+  assert.equal(first.status, 201);
+  const again = await request('POST', url, { as: 'ana@example.com', body: { timezone: 'Europe/Berlin' } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.day, first.body.day);
+
+  // a different time zone on a later request doesn't open another day
+  const moved = await request('POST', url, { as: 'ana@example.com', body: { timezone: 'Pacific/Kiritimati' } });
+  assert.equal(moved.status, 409);
+
+  const uc = await userChallenges.findOne({ userId: 'ana@example.com' });
+  assert.equal(uc.progressLogs.length, 1);
+  assert.equal(uc.checkInDays, 1);
+});
+
+test('checking in on someone else\'s participation is forbidden', async () => {
+  const { request, challenge } = await setup();
+  const joined = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  const res = await request('POST', `/api/user-challenges/${joined.body.userChallengeId}/check-in`, { as: 'ben@example.com', body: {} });
+  assert.equal(res.status, 403);
+});
+
+test('logging points are awarded once per day and zero-value logs are refused', async () => {
+  const { request, challenge, db } = await setup();
+  const joined = await request('POST', `/api/challenges/join/${challenge._id}`, { as: 'ana@example.com' });
+  const url = `/api/user-challenges/${joined.body.userChallengeId}/progress`;
+
+  const zero = await request('PATCH', url, { as: 'ana@example.com', body: { addLogValue: 0 } });
+  assert.equal(zero.status, 400);
+  assert.equal(zero.body.errors[0].field, 'addLogValue');
+
+  for (const value of [1, 2, 3]) {
+    assert.equal((await request('PATCH', url, { as: 'ana@example.com', body: { addLogValue: value } })).status, 200);
+  }
+  const awards = await db.collection('pointsLedger').countDocuments({ userId: 'ana@example.com', reason: 'progressLogged' });
+  assert.equal(awards, 1);
+});